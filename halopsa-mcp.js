@@ -6,10 +6,17 @@
  * 
  * This file ensures that the main package.json "bin" entry works correctly
  * while keeping the actual implementation organized in the src/ directory.
+ * 
+ * When called with a CLI command (e.g. `halopsa-workflows-mcp export ...`)
+ * the command is run instead of the MCP server.
  */
+import { isCommand, runCommand } from './src/cli/index.js';
 
-// Import and run the actual MCP server implementation
-import './src/index.js';
+const [command, ...args] = process.argv.slice(2);
 
-// This file serves as a simple entry point that delegates to the actual implementation
-// No additional code is needed here since the import will execute the src/index.js file
+if (command && isCommand(command)) {
+  process.exit(await runCommand(command, args));
+} else {
+  // Import and run the actual MCP server implementation
+  await import('./src/index.js');
+}
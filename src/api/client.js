@@ -4,6 +4,7 @@
  */
 import axios from 'axios';
 import config from '../config/index.js';
+import { mergeRecordChanges, mergeWorkflowChanges } from '../workflows/changes.js';
 
 // Create logger
 const isDebug = config.isDebug();
@@ -186,6 +187,17 @@ class HaloPSAClient {
     return this.request('GET', 'WorkflowStep', null, params);
   }
 
+  /**
+   * Get the action definitions agents use to move tickets along
+   * Workflow transitions (FlowSubDetail.action_id) refer to these records, which the
+   * API serves from /Outcome; /Actions holds the actions logged against tickets.
+   * @param {Object} [filters] - Query parameters (e.g. workflow_id, tickettype_id)
+   * @returns {Promise<Array>} Action definitions
+   */
+  async getActions(filters = {}) {
+    return this.request('GET', 'Outcome', null, filters);
+  }
+
   /**
    * Get a specific workflow by ID
    * @param {number} id - Workflow ID
@@ -218,6 +230,120 @@ class HaloPSAClient {
   async createWorkflows(workflows) {
     return this.request('POST', 'Workflow', workflows);
   }
+
+  /**
+   * Update an existing workflow with a partial FlowHeader
+   * HaloPSA has no PATCH endpoint for workflows, so the current record is
+   * fetched with its details, the changes are merged over it at the top level
+   * and the full record is posted back through the upsert-style POST /Workflow.
+   * @param {number} id - Workflow ID to update
+   * @param {Object} changes - Partial FlowHeader fields to apply
+   * @param {Object} [current] - Current record with details, if the caller already fetched it
+   * @returns {Promise<Object>} The record before and after the merge, plus the API response
+   */
+  async updateWorkflow(id, changes, current = null) {
+    const before = current || await this.getWorkflow(id, true);
+    const after = mergeWorkflowChanges(before, changes);
+
+    const response = await this.request('POST', 'Workflow', [after]);
+    return { before, after, response };
+  }
+
+  /**
+   * Get a page of tickets
+   * @param {Object} [filters] - Query parameters (e.g. open_only, page_no, page_size)
+   * @returns {Promise<Object>} Tickets response ({ record_count, tickets })
+   */
+  async getTickets(filters = {}) {
+    return this.request('GET', 'Tickets', null, filters);
+  }
+
+  /**
+   * Get every open ticket, page by page
+   * The Tickets endpoint cannot filter by workflow, so callers filter on
+   * workflow_id / workflow_step themselves.
+   * @param {Object} [options] - Paging options
+   * @param {number} [options.pageSize=100] - Tickets per request
+   * @param {number} [options.maxPages=50] - Stop after this many pages
+   * @param {Object} [options.filters] - Extra query parameters
+   * @returns {Promise<Object>} Tickets and whether the page limit cut the list short
+   */
+  async getOpenTickets({ pageSize = 100, maxPages = 50, filters = {} } = {}) {
+    const tickets = [];
+    for (let page = 1; page <= maxPages; page++) {
+      const response = await this.getTickets({
+        ...filters,
+        open_only: true,
+        pageinate: true,
+        page_size: pageSize,
+        page_no: page
+      });
+      const batch = Array.isArray(response) ? response : response?.tickets || [];
+      tickets.push(...batch);
+
+      const total = Array.isArray(response) ? null : response?.record_count;
+      if (batch.length < pageSize || (total !== undefined && total !== null && tickets.length >= total)) {
+        return { tickets, truncated: false };
+      }
+    }
+    return { tickets, truncated: true };
+  }
+
+  /**
+   * Get a ticket
+   * @param {number} id - Ticket ID
+   * @returns {Promise<Object>} Ticket (with workflow_id, workflow_step and workflow_stepstarted)
+   */
+  async getTicket(id) {
+    return this.request('GET', `Tickets/${id}`);
+  }
+
+  /**
+   * Record an action on a ticket
+   * When outcome_id names an action of the ticket's current workflow step,
+   * HaloPSA moves the ticket along that transition.
+   * @param {Object} action - Actions record (ticket_id, outcome_id, outcome, note)
+   * @returns {Promise<Object>} API response
+   */
+  async addTicketAction(action) {
+    return this.request('POST', 'Actions', [action]);
+  }
+
+  /**
+   * Get ticket types
+   * Ticket types are RequestType records served by /TicketType; each one names
+   * the workflow its tickets use (workflow_id).
+   * @param {Object} [filters] - Query parameters (e.g. showinactive)
+   * @returns {Promise<Array>} Ticket types
+   */
+  async getTicketTypes(filters = {}) {
+    return this.request('GET', 'TicketType', null, filters);
+  }
+
+  /**
+   * Get a specific ticket type by ID
+   * @param {number} id - Ticket type ID
+   * @returns {Promise<Object>} Ticket type
+   */
+  async getTicketType(id) {
+    return this.request('GET', `TicketType/${id}`, null, { includedetails: true });
+  }
+
+  /**
+   * Update a ticket type with a partial RequestType
+   * Like workflows, the full record is posted back with the changes merged over it.
+   * @param {number} id - Ticket type ID
+   * @param {Object} changes - RequestType fields to apply
+   * @param {Object} [current] - Current record, if the caller already fetched it
+   * @returns {Promise<Object>} The record before and after the merge, plus the API response
+   */
+  async updateTicketType(id, changes, current = null) {
+    const before = current || await this.getTicketType(id);
+    const after = mergeRecordChanges(before, changes);
+
+    const response = await this.request('POST', 'TicketType', [after]);
+    return { before, after, response };
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,166 @@
+/**
+ * Command Line Interface
+ * Subcommands of the halopsa-workflows-mcp binary that run once and exit
+ * instead of starting the MCP server
+ */
+import { parseArgs } from 'util';
+import config from '../config/index.js';
+import { exportBundle, readBundle, writeBundle } from '../workflows/bundle.js';
+import { importBundle } from '../workflows/importer.js';
+import snapshots from '../workflows/snapshots.js';
+
+/**
+ * Available commands
+ */
+const commands = {
+  export: {
+    usage: 'export [--id <workflowId>]... [--include-inactive] --out <file>',
+    description: 'Export workflows to a portable JSON bundle (all workflows if no --id is given)',
+    requiresApi: true,
+    options: {
+      id: { type: 'string', multiple: true },
+      'include-inactive': { type: 'boolean', default: false },
+      out: { type: 'string', short: 'o' }
+    },
+    run: async (values) => {
+      if (!values.out) {
+        throw new Error('--out <file> is required');
+      }
+
+      const ids = (values.id || []).map(id => {
+        const parsed = parseInt(id, 10);
+        if (Number.isNaN(parsed)) {
+          throw new Error(`Invalid workflow ID: ${id}`);
+        }
+        return parsed;
+      });
+
+      const { default: apiClient } = await import('../api/client.js');
+      const bundle = await exportBundle(apiClient, {
+        ids,
+        includeInactive: values['include-inactive'],
+        source: { tenant: config.api.tenant }
+      });
+
+      const filePath = await writeBundle(bundle, values.out, { overwrite: true });
+      console.log(`Exported ${bundle.workflows.length} workflows to ${filePath}`);
+      for (const workflow of bundle.manifest.workflows) {
+        console.log(`  - ${workflow.key} (${workflow.name}, ${workflow.steps} steps)`);
+      }
+      if (bundle.manifest.externalReferences.length > 0) {
+        console.log(`Warning: ${bundle.manifest.externalReferences.length} reference(s) to workflows outside the bundle`);
+      }
+    }
+  },
+
+  import: {
+    usage: 'import <file> [--strategy skip|rename|overwrite] [--key <key>]... [--map <sourceId>=<targetId>]... [--dry-run | --apply]',
+    description: 'Import workflows from a bundle, handling name collisions with the chosen strategy',
+    requiresApi: true,
+    allowPositionals: true,
+    options: {
+      strategy: { type: 'string', default: 'skip' },
+      key: { type: 'string', multiple: true },
+      map: { type: 'string', multiple: true },
+      'dry-run': { type: 'boolean' },
+      apply: { type: 'boolean' }
+    },
+    run: async (values, positionals) => {
+      if (positionals.length !== 1) {
+        throw new Error('Exactly one bundle file is required');
+      }
+
+      if (values['dry-run'] && values.apply) {
+        throw new Error('Use either --dry-run or --apply, not both');
+      }
+      // parseArgs cannot negate a boolean, so --apply overrides HALOPSA_DRY_RUN_DEFAULT
+      const dryRun = values.apply ? false : values['dry-run'] ?? config.workflows.dryRunDefault;
+
+      const workflowMap = {};
+      for (const mapping of values.map || []) {
+        const [sourceId, targetId] = mapping.split('=').map(id => parseInt(id, 10));
+        if (Number.isNaN(sourceId) || Number.isNaN(targetId)) {
+          throw new Error(`Invalid workflow mapping: ${mapping} (use <sourceId>=<targetId>)`);
+        }
+        workflowMap[sourceId] = targetId;
+      }
+
+      const bundle = await readBundle(positionals[0]);
+      const { default: apiClient } = await import('../api/client.js');
+      const outcome = await importBundle(apiClient, bundle, {
+        strategy: values.strategy,
+        keys: values.key,
+        workflowMap,
+        dryRun,
+        snapshotStore: snapshots
+      });
+
+      console.log(outcome.dryRun ? 'Import plan (dry run):' : 'Import results:');
+      for (const result of outcome.results) {
+        const status = result.status || result.action;
+        console.log(`  - ${result.key}: ${status} "${result.targetName || result.name}"${result.id ? ` (ID ${result.id})` : ''}`);
+        for (const message of [...(result.errors || []), ...(result.warnings || [])]) {
+          console.log(`      ${message}`);
+        }
+      }
+      if (outcome.results.some(result => result.status === 'failed')) {
+        throw new Error('One or more workflows failed to import');
+      }
+    }
+  }
+};
+
+/**
+ * Print usage for all commands
+ */
+function printUsage() {
+  console.log('Usage: halopsa-workflows-mcp [command] [options]');
+  console.log('');
+  console.log('Without a command the MCP server is started.');
+  console.log('');
+  console.log('Commands:');
+  for (const command of Object.values(commands)) {
+    console.log(`  ${command.usage}`);
+    console.log(`      ${command.description}`);
+  }
+}
+
+/**
+ * Check whether a command name is handled by the CLI
+ * @param {string} name - First command line argument
+ * @returns {boolean} True if the CLI should handle it
+ */
+export function isCommand(name) {
+  return name === 'help' || name === '--help' || Object.hasOwn(commands, name);
+}
+
+/**
+ * Run a CLI command
+ * @param {string} name - Command name
+ * @param {Array<string>} args - Remaining command line arguments
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runCommand(name, args) {
+  const command = commands[name];
+  if (!command) {
+    printUsage();
+    return name === 'help' || name === '--help' ? 0 : 1;
+  }
+
+  try {
+    const { values, positionals } = parseArgs({
+      args,
+      options: command.options,
+      allowPositionals: command.allowPositionals || false
+    });
+    if (command.requiresApi && !config.isValid()) {
+      return 1;
+    }
+    await command.run(values, positionals);
+    return 0;
+  } catch (error) {
+    console.error(`[ERROR] ${name} failed: ${error.message}`);
+    console.error(`Usage: halopsa-workflows-mcp ${command.usage}`);
+    return 1;
+  }
+}
@@ -66,10 +66,22 @@ const defaults = {
     logLevel: (process.env.LOG_LEVEL || 'info').toLowerCase()
   },
   
+  // Workflow Tool Behaviour
+  workflows: {
+    // When true, mutating tools only return a preview unless called with dryRun: false
+    dryRunDefault: process.env.HALOPSA_DRY_RUN_DEFAULT === 'true',
+    // Destructive tools return a confirmation token first and only act when it is passed back
+    requireConfirmation: process.env.HALOPSA_REQUIRE_CONFIRMATION !== 'false',
+    confirmationTtlSeconds: parseInt(process.env.HALOPSA_CONFIRMATION_TTL || '300', 10)
+  },
+  
   // Application Paths
   paths: {
     root: path.join(__dirname, '..', '..'),
-    logs: process.env.LOG_DIR || path.join(os.homedir(), 'Library', 'Logs', 'HaloPSA')
+    logs: process.env.LOG_DIR || path.join(os.homedir(), 'Library', 'Logs', 'HaloPSA'),
+    snapshots: process.env.HALOPSA_SNAPSHOT_DIR || path.join(os.homedir(), '.halopsa-workflows-mcp', 'snapshots'),
+    // Tools only read and write bundle files inside this directory
+    bundles: process.env.HALOPSA_BUNDLE_DIR || path.join(os.homedir(), '.halopsa-workflows-mcp', 'bundles')
   }
 };
 
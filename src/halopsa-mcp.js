@@ -6,14 +6,14 @@
  * Improved with connection handling, error recovery, and enhanced SSE logging
  */
 import { FastMCP } from 'fastmcp';
+import crypto from 'crypto';
 import {
   getAuthToken,
   getWorkflows,
   getWorkflowSteps,
-  getWorkflow,
-  deleteWorkflow,
-  createWorkflows
+  getWorkflow
 } from './halopsa-direct.js';
+import tools from './tools/index.js';
 
 // Set up logging configuration
 const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
@@ -87,6 +87,17 @@ const createLogger = (session) => {
 // Create the base logger (no session yet)
 const logger = createLogger();
 
+// The stdio transport serves one client, so confirmation tokens are bound to the process
+const SESSION_ID = crypto.randomUUID();
+
+/**
+ * Find a tool in the main server's tools registry
+ * Mutating tools delegate to it so both servers apply the same safeguards.
+ * @param {string} name - Tool name
+ * @returns {Object} Tool definition
+ */
+const registryTool = (name) => tools.find(tool => tool.name === name);
+
 // Create a new MCP server with enhanced capabilities
 const mcp = new FastMCP({
   name: 'halopsa-workflows',
@@ -326,87 +337,39 @@ mcp.addTool({
 
 mcp.addTool({
   name: 'deleteWorkflow',
-  description: 'Delete a workflow from HaloPSA by ID',
-  parameters: {
-    type: 'object',
-    properties: {
-      id: {
-        type: 'number',
-        description: 'The workflow ID to delete'
-      }
-    },
-    required: ['id']
-  },
+  description: registryTool('deleteWorkflow').description,
+  parameters: registryTool('deleteWorkflow').parameters,
   execute: async (params, { log }) => {
-    try {
-      log.info(`Deleting workflow ${params.id}`);
-      await deleteWorkflow(params.id);
+    // Same confirmation token, dependency check and snapshot as the main server
+    log.info(`Deleting workflow ${params.id}`);
+    const result = await registryTool('deleteWorkflow').handler(params, { sessionId: SESSION_ID });
+    if (result.error) {
+      log.error(`Failed to delete workflow ${params.id}: ${result.error}`);
+    } else if (result.success) {
       log.info(`Successfully deleted workflow ${params.id}`);
-      return {
-        type: 'text',
-        text: JSON.stringify({
-          success: true,
-          message: `Successfully deleted workflow ${params.id}`
-        }, null, 2)
-      };
-    } catch (error) {
-      log.error(`Failed to delete workflow ${params.id}: ${error.message}`);
-      return {
-        type: 'text',
-        text: JSON.stringify({ error: error.message }, null, 2)
-      };
     }
+    return {
+      type: 'text',
+      text: JSON.stringify(result, null, 2)
+    };
   }
 });
 
 mcp.addTool({
   name: 'createWorkflows',
-  description: 'Create new workflows in HaloPSA',
-  parameters: {
-    type: 'object',
-    properties: {
-      workflows: {
-        type: 'array',
-        description: 'The workflows to create - array of workflow objects'
-      }
-    },
-    required: ['workflows']
-  },
+  description: registryTool('createWorkflows').description,
+  parameters: registryTool('createWorkflows').parameters,
   execute: async (params, { log }) => {
-    try {
-      log.info(`Creating ${params.workflows.length} workflows`);
-      const result = await createWorkflows(params.workflows);
-      log.info(`Successfully created ${result.length} workflows`);
-      return {
-        type: 'text',
-        text: JSON.stringify(result, null, 2)
-      };
-    } catch (error) {
-      // Log error with detailed diagnostic information
-      log.error(`Failed to create workflows`, {
-        operationId,
-        error: error.message,
-        stack: error.stack,
-        count: params.workflows.length,
-        sessionId: session?.server?.sessionId,
-        timestamp: new Date().toISOString()
-      });
-      
-      // Send error progress
-      reportProgress({
-        progress: 100,
-        total: 100,
-        status: 'Creation failed'
-      });
-      
-      return {
-        type: 'text',
-        text: JSON.stringify({ 
-          error: error.message,
-          timestamp: new Date().toISOString() 
-        }, null, 2)
-      };
+    // Same payload checks and validation as the main server
+    log.info(`Creating ${params.workflows.length} workflows`);
+    const result = await registryTool('createWorkflows').handler(params);
+    if (result.error) {
+      log.error(`Failed to create workflows: ${result.error}`);
     }
+    return {
+      type: 'text',
+      text: JSON.stringify(result, null, 2)
+    };
   }
 });
 
@@ -6,6 +6,7 @@ import { FastMCP } from 'fastmcp';
 import config from '../config/index.js';
 import tools from '../tools/index.js';
 import apiClient from '../api/client.js';
+import { createToolHandler, getSessionId } from './sessions.js';
 
 // Create logger
 const isDebug = config.isDebug();
@@ -58,7 +59,7 @@ class MCPServer {
   setupEventHandlers() {
     this.mcp.on('connect', async ({ session }) => {
       logger.info(`New client connected`, {
-        sessionId: session.server.sessionId,
+        sessionId: getSessionId(session),
         capabilities: this.mcp.capabilities
       });
       
@@ -87,7 +88,7 @@ class MCPServer {
     });
     
     this.mcp.on('disconnect', ({ session }) => {
-      logger.info(`Client disconnected, session ID: ${session.server.sessionId}`);
+      logger.info(`Client disconnected, session ID: ${getSessionId(session)}`);
     });
     
     this.mcp.on('error', (error) => {
@@ -106,15 +107,7 @@ class MCPServer {
           name: tool.name,
           description: tool.description,
           parameters: tool.parameters,
-          handler: async (params) => {
-            try {
-              const result = await tool.handler(params);
-              return result; // Return raw result without wrapping
-            } catch (error) {
-              logger.error(`Tool execution failed: ${error.message}`);
-              return { error: error.message };
-            }
-          }
+          handler: createToolHandler(tool, session, logger)
         });
       } catch (error) {
         logger.error(`Failed to register tool ${tool.name}: ${error.message}`);
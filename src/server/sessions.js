@@ -0,0 +1,45 @@
+/**
+ * Session Wiring
+ * Identifies client sessions and passes them to tool handlers
+ *
+ * The MCP SDK Server has no session ID, and the stdio transport does not assign
+ * one either, so each FastMCP session gets a random ID of its own. State bound to
+ * a session, such as confirmation tokens, is keyed by that ID.
+ */
+import crypto from 'crypto';
+
+const sessionIds = new WeakMap();
+
+/**
+ * Get the ID of a client session
+ * Uses the transport's session ID when it has one, and a random ID otherwise.
+ * @param {Object} session - FastMCP session
+ * @returns {string} Session ID, stable for the lifetime of the session
+ */
+export function getSessionId(session) {
+  if (!sessionIds.has(session)) {
+    sessionIds.set(session, session.server?.transport?.sessionId ?? crypto.randomUUID());
+  }
+  return sessionIds.get(session);
+}
+
+/**
+ * Wrap a tool handler for a session
+ * @param {Object} tool - Tool from the tools registry
+ * @param {Object} session - FastMCP session the tool is registered with
+ * @param {Object} logger - Logger for failed tool calls
+ * @returns {Function} Handler that passes the session to the tool
+ */
+export function createToolHandler(tool, session, logger) {
+  return async (params) => {
+    try {
+      // Pass the session so tools can bind state such as confirmation tokens to it
+      return await tool.handler(params, {
+        sessionId: getSessionId(session)
+      });
+    } catch (error) {
+      logger.error(`Tool execution failed: ${error.message}`);
+      return { error: error.message };
+    }
+  };
+}
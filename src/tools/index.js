@@ -3,10 +3,210 @@
  * Defines all tools available in the HaloPSA Workflows MCP Server
  */
 import apiClient from '../api/client.js';
+import config from '../config/index.js';
+import { assessActivationChange, findLinkingSteps, getActivationFields } from '../workflows/activation.js';
+import {
+  exportBundle,
+  findBundleErrors,
+  getBundleWorkflow,
+  readBundle,
+  resolveBundlePath,
+  writeBundle
+} from '../workflows/bundle.js';
+import { isSameValue, mergeWorkflowChanges, summarizeChanges } from '../workflows/changes.js';
+import { planClone } from '../workflows/clone.js';
+import confirmations, { fingerprintWorkflow } from '../workflows/confirmations.js';
+import {
+  assessWorkflowDeletion,
+  buildDependencyGraph,
+  findWorkflowCycles
+} from '../workflows/dependencies.js';
+import { DIAGRAM_FORMATS, renderWorkflowDiagram } from '../workflows/diagram.js';
+import { diffWorkflows } from '../workflows/diff.js';
+import {
+  buildProcedure,
+  DOCUMENT_FORMATS,
+  renderProcedureHtml,
+  renderProcedureMarkdown
+} from '../workflows/documentation.js';
+import { compileWorkflowDsl, decompileWorkflowDsl } from '../workflows/dsl.js';
+import { addStep, describeSteps, removeStep, updateStep } from '../workflows/editor.js';
+import { IMPORT_STRATEGIES, importBundle } from '../workflows/importer.js';
+import { buildMetricsReport } from '../workflows/metrics.js';
+import { planTicketMove } from '../workflows/movement.js';
+import { remapStepIds, toCreatePayload } from '../workflows/portable.js';
+import {
+  buildCreatePreview,
+  buildDeletePreview,
+  buildUpdatePreview,
+  findPayloadErrors,
+  summarizeWorkflow
+} from '../workflows/preview.js';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, searchWorkflows } from '../workflows/search.js';
+import { simulateWorkflow } from '../workflows/simulator.js';
+import snapshots from '../workflows/snapshots.js';
+import {
+  addStage,
+  assignStepsToStage,
+  describeStages,
+  removeStage,
+  reorderStages,
+  updateStage
+} from '../workflows/stages.js';
+import { findOverdueTickets } from '../workflows/stuck.js';
+import {
+  describeTargets,
+  describeTicketType,
+  findTicketTypesForWorkflow,
+  matchTicketTypes,
+  resolveTicketType,
+  setTargets
+} from '../workflows/targets.js';
+import templates from '../workflows/templates.js';
+import {
+  addTransition,
+  describeTransitions,
+  removeTransition,
+  resolveAction,
+  updateTransition
+} from '../workflows/transitions.js';
+import { buildUsageReport } from '../workflows/usage.js';
+import { findNewErrors, validateWorkflow } from '../workflows/validator.js';
 
 // Create tools registry
 const tools = [];
 
+// Shared parameter definition for tools that modify HaloPSA
+const dryRunParameter = {
+  type: 'boolean',
+  description: 'Validate and preview the change without calling the API (defaults to the server\'s dry-run setting)'
+};
+
+/**
+ * Resolve whether a mutating tool call should only preview its changes
+ * @param {Object} params - Tool parameters
+ * @returns {boolean} True for a dry run
+ */
+function isDryRun(params) {
+  return params?.dryRun ?? config.workflows.dryRunDefault;
+}
+
+/**
+ * Load a workflow, apply an edit to a copy, validate it and save the whole workflow back
+ * Edits that introduce new validation errors are refused unless force is set.
+ * @param {Object} params - Tool parameters (id, force, dryRun)
+ * @param {string} operation - Tool name, used in previews and as the snapshot reason
+ * @param {Function} edit - Receives the current workflow and returns { workflow, ...details }
+ * @returns {Promise<Object>} Tool result
+ */
+async function saveWorkflowEdit(params, operation, edit) {
+  const current = await apiClient.getWorkflow(params.id, true);
+  const { workflow: edited, ...details } = edit(current);
+  const fields = ['steps', 'stages', 'targets'].filter(field => !isSameValue(current[field], edited[field]));
+  const diff = diffWorkflows(current, edited).summary;
+  const validation = validateWorkflow(edited);
+
+  if (isDryRun(params)) {
+    return {
+      ...buildUpdatePreview(current, edited, fields),
+      operation,
+      ...details,
+      diff,
+      validation
+    };
+  }
+
+  const newErrors = findNewErrors(current, edited);
+  if (newErrors.length > 0 && !params.force) {
+    return {
+      error: 'The edit would introduce validation errors - fix them or set force to true',
+      errors: newErrors,
+      diff
+    };
+  }
+
+  const snapshot = await snapshots.save(current, operation);
+  await apiClient.updateWorkflow(params.id, Object.fromEntries(fields.map(field => [field, edited[field]])), current);
+  return {
+    success: true,
+    message: `Workflow ${params.id} saved`,
+    ...details,
+    diff,
+    validation,
+    snapshotId: snapshot.snapshotId
+  };
+}
+
+/**
+ * Build the tenant's dependency graph from every workflow fetched with its details
+ * @returns {Promise<Object>} Graph from buildDependencyGraph
+ */
+async function loadDependencyGraph() {
+  const headers = await apiClient.getWorkflows(true);
+  const workflows = [];
+  for (const header of headers) {
+    workflows.push(await apiClient.getWorkflow(header.id, true));
+  }
+  return buildDependencyGraph(workflows);
+}
+
+/**
+ * Work out what deleting a workflow would break
+ * The check only informs the caller, so a failed lookup is reported as a warning
+ * instead of stopping the deletion.
+ * @param {number} workflowId - Workflow to delete
+ * @returns {Promise<Object>} Result of assessWorkflowDeletion (null if the graph could not be built) and warnings
+ */
+async function assessDeletion(workflowId) {
+  const warnings = [];
+  let graph = null;
+  let ticketTypes = [];
+  try {
+    graph = await loadDependencyGraph();
+  } catch (error) {
+    warnings.push(`Could not check which workflows depend on workflow ${workflowId}: ${error.message}`);
+  }
+  try {
+    ticketTypes = await apiClient.getTicketTypes();
+  } catch (error) {
+    warnings.push(`Could not check which ticket types use workflow ${workflowId}: ${error.message}`);
+  }
+
+  return {
+    dependencies: graph ? assessWorkflowDeletion(graph, workflowId, ticketTypes) : null,
+    warnings
+  };
+}
+
+// Shared parameter definitions for the step, transition and stage editing tools
+const editParameters = {
+  force: {
+    type: 'boolean',
+    description: 'Save even if the edit introduces validation errors'
+  },
+  dryRun: dryRunParameter
+};
+
+const stepRefParameter = {
+  type: ['number', 'string'],
+  description: 'The step to edit: its step_id, or its name'
+};
+
+const stageRefParameter = {
+  type: ['number', 'string'],
+  description: 'The stage: its sequence number, or its name'
+};
+
+const actionRefParameter = {
+  type: ['number', 'string'],
+  description: 'Action ID, or the action name as shown in HaloPSA'
+};
+
+const transitionFieldsParameter = {
+  type: 'object',
+  description: 'Other FlowSubDetail fields: time_limit_mins, use_work_hours, approval_result, restrictions (FlowSubDetailRestriction: field_id, type, value_id, value_name), conditions, automation_runbook_id, seq'
+};
+
 /**
  * Add getWorkflows tool
  */
@@ -98,23 +298,77 @@ tools.push({
  */
 tools.push({
   name: 'deleteWorkflow',
-  description: 'Delete a workflow from HaloPSA by ID',
+  description: 'Delete a workflow from HaloPSA by ID. The first call returns a confirmation token describing the impact; call again with that token to delete',
   parameters: {
     type: 'object',
     properties: {
       id: {
         type: 'number',
         description: 'The workflow ID to delete'
-      }
+      },
+      confirmationToken: {
+        type: 'string',
+        description: 'Token returned by a previous deleteWorkflow call for the same workflow'
+      },
+      dryRun: dryRunParameter
     },
     required: ['id']
   },
-  handler: async (params) => {
+  handler: async (params, context = {}) => {
     try {
+      const workflow = await apiClient.getWorkflow(params.id, true);
+      if (isDryRun(params)) {
+        const { dependencies, warnings } = await assessDeletion(params.id);
+        const preview = buildDeletePreview(workflow, dependencies);
+        return { ...preview, warnings: [...preview.warnings, ...warnings] };
+      }
+
+      let dependents = null;
+      if (config.workflows.requireConfirmation) {
+        const expected = {
+          sessionId: context.sessionId,
+          operation: 'deleteWorkflow',
+          targetId: params.id,
+          fingerprint: fingerprintWorkflow(workflow)
+        };
+
+        if (!params.confirmationToken) {
+          // Assess the impact once, when the token is issued, and keep it with the token
+          const assessment = await assessDeletion(params.id);
+          const preview = buildDeletePreview(workflow, assessment.dependencies);
+          const { token, expiresAt } = confirmations.issue({
+            ...expected,
+            ttlSeconds: config.workflows.confirmationTtlSeconds,
+            details: assessment
+          });
+          return {
+            confirmationRequired: true,
+            confirmationToken: token,
+            expiresAt,
+            impact: preview.wouldDelete,
+            dependents: assessment.dependencies?.dependents ?? null,
+            warnings: [...preview.warnings, ...assessment.warnings],
+            message: `Call deleteWorkflow again with this confirmationToken to delete workflow ${params.id}`
+          };
+        }
+
+        const assessment = confirmations.getDetails(params.confirmationToken);
+        const rejection = confirmations.redeem(params.confirmationToken, expected);
+        if (rejection) {
+          return {
+            error: rejection
+          };
+        }
+        dependents = assessment?.dependencies?.dependents ?? null;
+      }
+
+      const snapshot = await snapshots.save(workflow, 'deleteWorkflow');
       await apiClient.deleteWorkflow(params.id);
       return {
         success: true,
-        message: `Successfully deleted workflow ${params.id}`
+        message: `Successfully deleted workflow ${params.id}`,
+        snapshotId: snapshot.snapshotId,
+        ...(dependents ? { dependents } : {})
       };
     } catch (error) {
       return {
@@ -136,12 +390,36 @@ tools.push({
       workflows: {
         type: 'array',
         description: 'The workflows to create - array of workflow objects'
-      }
+      },
+      dryRun: dryRunParameter
     },
     required: ['workflows']
   },
   handler: async (params) => {
     try {
+      if (isDryRun(params)) {
+        return buildCreatePreview(params.workflows);
+      }
+
+      const errors = findPayloadErrors(params.workflows);
+      if (errors.length > 0) {
+        return {
+          error: 'Invalid workflows payload',
+          errors
+        };
+      }
+
+      const validation = params.workflows.map(workflow => ({
+        name: workflow.name,
+        ...validateWorkflow(workflow)
+      }));
+      if (validation.some(result => !result.valid)) {
+        return {
+          error: 'Workflow validation failed - fix the errors below or run validateWorkflow for details',
+          validation
+        };
+      }
+
       const result = await apiClient.createWorkflows(params.workflows);
       return result;
     } catch (error) {
@@ -152,6 +430,1869 @@ tools.push({
   }
 });
 
+/**
+ * Add updateWorkflow tool
+ */
+tools.push({
+  name: 'updateWorkflow',
+  description: 'Update an existing workflow in HaloPSA with a partial set of FlowHeader fields, keeping its ID and history',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID to update'
+      },
+      changes: {
+        type: 'object',
+        description: 'Partial FlowHeader - only the top-level fields to change (e.g. name, active, steps)'
+      },
+      dryRun: dryRunParameter
+    },
+    required: ['id', 'changes']
+  },
+  handler: async (params) => {
+    try {
+      const changes = { ...params.changes };
+      delete changes.id;
+      if (Object.keys(changes).length === 0) {
+        return {
+          error: 'No changes supplied - provide at least one FlowHeader field to update'
+        };
+      }
+
+      const current = await apiClient.getWorkflow(params.id, true);
+      if (isDryRun(params)) {
+        return buildUpdatePreview(current, mergeWorkflowChanges(current, changes), Object.keys(changes));
+      }
+
+      const snapshot = await snapshots.save(current, 'updateWorkflow');
+      const { before, after } = await apiClient.updateWorkflow(params.id, changes, current);
+      return {
+        success: true,
+        message: `Successfully updated workflow ${params.id}`,
+        changes: summarizeChanges(before, after, Object.keys(changes)),
+        snapshotId: snapshot.snapshotId
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add setWorkflowActive tool
+ */
+tools.push({
+  name: 'setWorkflowActive',
+  description: 'Activate or deactivate a workflow, setting its notinuse flag to match. Deactivation is refused while tickets use the workflow or active workflows hand tickets over to it, unless force is set',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      },
+      active: {
+        type: 'boolean',
+        description: 'true to activate, false to deactivate'
+      },
+      force: {
+        type: 'boolean',
+        description: 'Deactivate even if tickets or other workflows still depend on it'
+      },
+      dryRun: dryRunParameter
+    },
+    required: ['id', 'active']
+  },
+  handler: async (params) => {
+    try {
+      const current = await apiClient.getWorkflow(params.id, true);
+      const [steps, workflows] = await Promise.all([
+        apiClient.getWorkflowSteps(),
+        apiClient.getWorkflows(true)
+      ]);
+      const impact = assessActivationChange(
+        current,
+        params.active,
+        findLinkingSteps(steps, current.id),
+        workflows
+      );
+
+      if (isDryRun(params)) {
+        return {
+          dryRun: true,
+          operation: 'setWorkflowActive',
+          ...impact
+        };
+      }
+
+      if (impact.blockers.length > 0 && !params.force) {
+        return {
+          error: 'Deactivating this workflow would strand tickets - resolve the blockers or set force to true',
+          ...impact
+        };
+      }
+
+      const snapshot = await snapshots.save(current, 'setWorkflowActive');
+      const fields = getActivationFields(params.active);
+      const { before, after } = await apiClient.updateWorkflow(params.id, fields, current);
+      return {
+        success: true,
+        message: `Workflow ${params.id} ${params.active ? 'activated' : 'deactivated'}`,
+        changes: summarizeChanges(before, after, Object.keys(fields)),
+        blockers: impact.blockers,
+        warnings: impact.warnings,
+        snapshotId: snapshot.snapshotId
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add listStepsForWorkflow tool
+ */
+tools.push({
+  name: 'listStepsForWorkflow',
+  description: 'List the steps of one workflow with their transitions',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      }
+    },
+    required: ['id']
+  },
+  handler: async (params) => {
+    try {
+      const workflow = await apiClient.getWorkflow(params.id, true);
+      return {
+        id: workflow.id,
+        name: workflow.name,
+        steps: describeSteps(workflow)
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add addWorkflowStep tool
+ */
+tools.push({
+  name: 'addWorkflowStep',
+  description: 'Add a step (FlowDetail, optionally with transitions) to a workflow, validate the result and save the workflow',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      },
+      step: {
+        type: 'object',
+        description: 'FlowDetail to add, e.g. { "name": "Waiting on Customer", "actions": [...] }. step_id is assigned if left out'
+      },
+      ...editParameters
+    },
+    required: ['id', 'step']
+  },
+  handler: async (params) => {
+    try {
+      return await saveWorkflowEdit(params, 'addWorkflowStep', current => addStep(current, params.step));
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add updateWorkflowStep tool
+ */
+tools.push({
+  name: 'updateWorkflowStep',
+  description: 'Change fields of one step of a workflow (name, flags, stage, transitions...), validate the result and save the workflow',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      },
+      step: stepRefParameter,
+      changes: {
+        type: 'object',
+        description: 'FlowDetail fields to set. actions replaces all of the step\'s transitions; step_id cannot be changed'
+      },
+      ...editParameters
+    },
+    required: ['id', 'step', 'changes']
+  },
+  handler: async (params) => {
+    try {
+      return await saveWorkflowEdit(params, 'updateWorkflowStep', current => updateStep(current, params.step, params.changes));
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add removeWorkflowStep tool
+ */
+tools.push({
+  name: 'removeWorkflowStep',
+  description: 'Remove a step from a workflow. Transitions into it, stage outcomes and target steps are pointed at redirectTo, or removed if it is not given',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      },
+      step: stepRefParameter,
+      redirectTo: {
+        type: ['number', 'string'],
+        description: 'Step (step_id or name) that references to the removed step should point at instead'
+      },
+      ...editParameters
+    },
+    required: ['id', 'step']
+  },
+  handler: async (params) => {
+    try {
+      return await saveWorkflowEdit(params, 'removeWorkflowStep', current => removeStep(current, params.step, params.redirectTo));
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add listWorkflowTransitions tool
+ */
+tools.push({
+  name: 'listWorkflowTransitions',
+  description: 'List the transitions (FlowSubDetail) of one workflow with step names, actions, time limits, approvals and restrictions',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      }
+    },
+    required: ['id']
+  },
+  handler: async (params) => {
+    try {
+      const workflow = await apiClient.getWorkflow(params.id, true);
+      return {
+        id: workflow.id,
+        name: workflow.name,
+        transitions: describeTransitions(workflow)
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add addWorkflowTransition tool
+ */
+tools.push({
+  name: 'addWorkflowTransition',
+  description: 'Add a transition between two named steps of a workflow, resolving action names to IDs, then validate and save the workflow',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      },
+      from: {
+        ...stepRefParameter,
+        description: 'Step the transition starts from (step_id or name)'
+      },
+      to: {
+        ...stepRefParameter,
+        description: 'Step the transition leads to (step_id or name); leave out to keep the ticket on its step'
+      },
+      action: actionRefParameter,
+      timeLimitAction: {
+        ...actionRefParameter,
+        description: 'Action fired when time_limit_mins expires; must be another transition of the same step'
+      },
+      fields: transitionFieldsParameter,
+      ...editParameters
+    },
+    required: ['id', 'from', 'action']
+  },
+  handler: async (params) => {
+    try {
+      const actions = await apiClient.getActions();
+      const action = resolveAction(actions, params.action);
+      const timeLimitAction = params.timeLimitAction === undefined ? undefined : resolveAction(actions, params.timeLimitAction);
+      return await saveWorkflowEdit(params, 'addWorkflowTransition', current => addTransition(current, {
+        from: params.from,
+        to: params.to,
+        action,
+        timeLimitAction,
+        fields: params.fields
+      }));
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add updateWorkflowTransition tool
+ */
+tools.push({
+  name: 'updateWorkflowTransition',
+  description: 'Change a transition of a workflow: its target step, action, time limit and escalation action, approval result or restrictions, then validate and save the workflow',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      },
+      from: {
+        ...stepRefParameter,
+        description: 'Step the transition starts from (step_id or name)'
+      },
+      action: {
+        type: ['number', 'string'],
+        description: 'The transition to change: its action_id or action_name'
+      },
+      to: {
+        type: ['number', 'string', 'null'],
+        description: 'New target step (step_id or name); null keeps the ticket on its step'
+      },
+      newAction: {
+        ...actionRefParameter,
+        description: 'Replace the transition\'s action (ID or name)'
+      },
+      timeLimitAction: {
+        type: ['number', 'string', 'null'],
+        description: 'Action fired when the time limit expires (ID or name), or null to clear it'
+      },
+      fields: transitionFieldsParameter,
+      ...editParameters
+    },
+    required: ['id', 'from', 'action']
+  },
+  handler: async (params) => {
+    try {
+      const resolving = params.newAction !== undefined || (params.timeLimitAction !== undefined && params.timeLimitAction !== null);
+      const actions = resolving ? await apiClient.getActions() : [];
+      const changes = {
+        to: params.to,
+        action: params.newAction === undefined ? undefined : resolveAction(actions, params.newAction),
+        timeLimitAction: params.timeLimitAction === undefined || params.timeLimitAction === null
+          ? params.timeLimitAction
+          : resolveAction(actions, params.timeLimitAction),
+        fields: params.fields
+      };
+      return await saveWorkflowEdit(params, 'updateWorkflowTransition',
+        current => updateTransition(current, params.from, params.action, changes));
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add removeWorkflowTransition tool
+ */
+tools.push({
+  name: 'removeWorkflowTransition',
+  description: 'Remove a transition from a workflow step, then validate and save the workflow',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      },
+      from: {
+        ...stepRefParameter,
+        description: 'Step the transition starts from (step_id or name)'
+      },
+      action: {
+        type: ['number', 'string'],
+        description: 'The transition to remove: its action_id or action_name'
+      },
+      ...editParameters
+    },
+    required: ['id', 'from', 'action']
+  },
+  handler: async (params) => {
+    try {
+      return await saveWorkflowEdit(params, 'removeWorkflowTransition',
+        current => removeTransition(current, params.from, params.action));
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add listWorkflowStages tool
+ */
+tools.push({
+  name: 'listWorkflowStages',
+  description: 'List the stages (pipeline) of one workflow in order, with their outcome step and the steps in each stage',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      }
+    },
+    required: ['id']
+  },
+  handler: async (params) => {
+    try {
+      const workflow = await apiClient.getWorkflow(params.id, true);
+      return {
+        id: workflow.id,
+        name: workflow.name,
+        ...describeStages(workflow)
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add addWorkflowStage tool
+ */
+tools.push({
+  name: 'addWorkflowStage',
+  description: 'Add a stage to a workflow, optionally at a position and with an outcome step, then validate and save the workflow',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      },
+      name: {
+        type: 'string',
+        description: 'Name of the new stage'
+      },
+      outcome: {
+        ...stepRefParameter,
+        description: 'Outcome step of the stage (step_id or name)'
+      },
+      position: {
+        type: 'number',
+        description: '1-based position of the new stage (defaults to the end)'
+      },
+      ...editParameters
+    },
+    required: ['id', 'name']
+  },
+  handler: async (params) => {
+    try {
+      return await saveWorkflowEdit(params, 'addWorkflowStage', current => addStage(current, {
+        name: params.name,
+        outcome: params.outcome,
+        position: params.position
+      }));
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add updateWorkflowStage tool
+ */
+tools.push({
+  name: 'updateWorkflowStage',
+  description: 'Rename a stage of a workflow or change its outcome step, then validate and save the workflow',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      },
+      stage: stageRefParameter,
+      name: {
+        type: 'string',
+        description: 'New name for the stage'
+      },
+      outcome: {
+        type: ['number', 'string', 'null'],
+        description: 'New outcome step (step_id or name), or null to clear it'
+      },
+      ...editParameters
+    },
+    required: ['id', 'stage']
+  },
+  handler: async (params) => {
+    try {
+      return await saveWorkflowEdit(params, 'updateWorkflowStage', current => updateStage(current, params.stage, {
+        name: params.name,
+        outcome: params.outcome
+      }));
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add removeWorkflowStage tool
+ */
+tools.push({
+  name: 'removeWorkflowStage',
+  description: 'Remove a stage from a workflow, moving its steps to another stage or out of any stage, then validate and save the workflow',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      },
+      stage: stageRefParameter,
+      moveStepsTo: {
+        ...stageRefParameter,
+        description: 'Stage (sequence or name) to move the removed stage\'s steps to'
+      },
+      ...editParameters
+    },
+    required: ['id', 'stage']
+  },
+  handler: async (params) => {
+    try {
+      return await saveWorkflowEdit(params, 'removeWorkflowStage',
+        current => removeStage(current, params.stage, params.moveStepsTo));
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add reorderWorkflowStages tool
+ */
+tools.push({
+  name: 'reorderWorkflowStages',
+  description: 'Put the stages of a workflow in a new order, renumbering them and their steps, then save the workflow',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      },
+      order: {
+        type: 'array',
+        items: stageRefParameter,
+        description: 'Every stage (current sequence or name) in the new order'
+      },
+      ...editParameters
+    },
+    required: ['id', 'order']
+  },
+  handler: async (params) => {
+    try {
+      return await saveWorkflowEdit(params, 'reorderWorkflowStages', current => reorderStages(current, params.order));
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add assignStepsToStage tool
+ */
+tools.push({
+  name: 'assignStepsToStage',
+  description: 'Move steps of a workflow into a stage (sets their stage_number), or out of any stage, then save the workflow',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      },
+      stage: {
+        type: ['number', 'string', 'null'],
+        description: 'The stage (sequence or name), or null to take the steps out of any stage'
+      },
+      steps: {
+        type: 'array',
+        items: stepRefParameter,
+        description: 'Steps to move (step_id or name)'
+      },
+      ...editParameters
+    },
+    required: ['id', 'stage', 'steps']
+  },
+  handler: async (params) => {
+    try {
+      return await saveWorkflowEdit(params, 'assignStepsToStage',
+        current => assignStepsToStage(current, params.stage, params.steps));
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add getWorkflowTargets tool
+ */
+tools.push({
+  name: 'getWorkflowTargets',
+  description: 'Show which ticket types use a workflow and the workflow\'s time targets between steps',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      }
+    },
+    required: ['id']
+  },
+  handler: async (params) => {
+    try {
+      const [workflow, ticketTypes] = await Promise.all([
+        apiClient.getWorkflow(params.id, true),
+        apiClient.getTicketTypes()
+      ]);
+      return {
+        id: workflow.id,
+        name: workflow.name,
+        ticketTypes: findTicketTypesForWorkflow(ticketTypes, workflow.id),
+        targets: describeTargets(workflow)
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add setWorkflowTargets tool
+ */
+tools.push({
+  name: 'setWorkflowTargets',
+  description: 'Bind ticket types to a workflow (sets each ticket type\'s workflow) and/or replace the workflow\'s time targets. The previous workflow of each rebound ticket type is kept in a snapshot',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'The workflow ID'
+      },
+      ticketTypes: {
+        type: 'array',
+        items: {
+          type: ['number', 'string']
+        },
+        description: 'Ticket types (ID or name) whose tickets should use this workflow'
+      },
+      targets: {
+        type: 'array',
+        description: 'WorkflowTarget records replacing the current ones; start_steps/end_steps may list step IDs or names'
+      },
+      ...editParameters
+    },
+    required: ['id']
+  },
+  handler: async (params) => {
+    try {
+      if (!params.ticketTypes && !params.targets) {
+        return {
+          error: 'Provide ticketTypes, targets or both'
+        };
+      }
+
+      // Resolve every ticket type before changing anything
+      const allTypes = params.ticketTypes ? await apiClient.getTicketTypes() : [];
+      const bindings = (params.ticketTypes || []).map(ref => resolveTicketType(allTypes, ref));
+
+      const result = { id: params.id };
+      if (params.targets) {
+        result.targets = await saveWorkflowEdit(params, 'setWorkflowTargets', current => setTargets(current, params.targets));
+        if (result.targets.error) {
+          return {
+            error: result.targets.error,
+            ...result
+          };
+        }
+      }
+
+      // Keep the bindings being replaced so the change can be undone
+      const rebinding = bindings.filter(ticketType => ticketType.workflow_id !== params.id);
+      if (!isDryRun(params) && rebinding.length > 0) {
+        const snapshot = await snapshots.save(await apiClient.getWorkflow(params.id, true), 'setWorkflowTargets', {
+          ticketTypeBindings: rebinding.map(describeTicketType)
+        });
+        result.snapshotId = snapshot.snapshotId;
+      }
+
+      result.ticketTypes = [];
+      for (const ticketType of bindings) {
+        const binding = {
+          ...describeTicketType(ticketType),
+          workflow_id: params.id,
+          previous_workflow_id: ticketType.workflow_id ?? null,
+          previous_workflow_name: ticketType.workflow_name ?? null
+        };
+        if (ticketType.workflow_id === params.id) {
+          result.ticketTypes.push({ ...binding, status: 'unchanged' });
+        } else if (isDryRun(params)) {
+          result.ticketTypes.push({ ...binding, status: 'wouldBind' });
+        } else {
+          await apiClient.updateTicketType(ticketType.id, { workflow_id: params.id });
+          result.ticketTypes.push({ ...binding, status: 'bound' });
+        }
+      }
+
+      return isDryRun(params) ? { dryRun: true, operation: 'setWorkflowTargets', ...result } : { success: true, ...result };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add findWorkflowsForTicketType tool
+ */
+tools.push({
+  name: 'findWorkflowsForTicketType',
+  description: 'Find which workflow a ticket type uses, e.g. "which workflow does a Service Request use?"',
+  parameters: {
+    type: 'object',
+    properties: {
+      ticketType: {
+        type: ['number', 'string'],
+        description: 'Ticket type ID or name (names match exactly first, then partially)'
+      }
+    },
+    required: ['ticketType']
+  },
+  handler: async (params) => {
+    try {
+      const [ticketTypes, workflows] = await Promise.all([
+        apiClient.getTicketTypes(),
+        apiClient.getWorkflows(true)
+      ]);
+      const headers = new Map(workflows.map(workflow => [workflow.id, workflow]));
+      const matches = matchTicketTypes(ticketTypes, params.ticketType);
+      if (matches.length === 0) {
+        return {
+          error: `No ticket type matches "${params.ticketType}"`
+        };
+      }
+
+      return matches.map(ticketType => {
+        const binding = describeTicketType(ticketType);
+        const workflow = headers.get(binding.workflow_id);
+        return {
+          ...binding,
+          workflow_name: workflow?.name ?? binding.workflow_name,
+          workflow_active: workflow ? workflow.active !== false : null
+        };
+      });
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add listWorkflowSnapshots tool
+ */
+tools.push({
+  name: 'listWorkflowSnapshots',
+  description: 'List the local snapshots taken automatically before workflows were updated or deleted',
+  parameters: {
+    type: 'object',
+    properties: {
+      workflowId: {
+        type: 'number',
+        description: 'Only list snapshots of this workflow ID'
+      }
+    }
+  },
+  handler: async (params) => {
+    try {
+      return await snapshots.list(params?.workflowId);
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add restoreWorkflowSnapshot tool
+ */
+tools.push({
+  name: 'restoreWorkflowSnapshot',
+  description: 'Recreate a workflow in HaloPSA from a local snapshot. The workflow is created as new, so it receives a new ID',
+  parameters: {
+    type: 'object',
+    properties: {
+      snapshotId: {
+        type: 'string',
+        description: 'The snapshot ID returned by listWorkflowSnapshots'
+      },
+      name: {
+        type: 'string',
+        description: 'Name for the restored workflow (defaults to the name in the snapshot)'
+      },
+      dryRun: dryRunParameter
+    },
+    required: ['snapshotId']
+  },
+  handler: async (params) => {
+    try {
+      const snapshot = await snapshots.load(params.snapshotId);
+      const overrides = params.name ? { name: params.name } : {};
+      const payload = toCreatePayload(snapshot.workflow, overrides);
+
+      if (isDryRun(params)) {
+        return {
+          ...buildCreatePreview([payload]),
+          operation: 'restoreWorkflowSnapshot',
+          snapshotId: snapshot.snapshotId
+        };
+      }
+
+      const errors = findPayloadErrors([payload]);
+      if (errors.length > 0) {
+        return {
+          error: 'Snapshot does not contain a restorable workflow',
+          errors
+        };
+      }
+
+      const result = await apiClient.createWorkflows([payload]);
+      return {
+        success: true,
+        message: `Restored snapshot ${snapshot.snapshotId} of workflow ${snapshot.workflowId}`,
+        restored: summarizeWorkflow(payload),
+        result
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add cloneWorkflow tool
+ */
+tools.push({
+  name: 'cloneWorkflow',
+  description: 'Create a copy of an existing workflow (steps, transitions, stages and targets) under a new name, inactive by default so it can be edited before going live',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'ID of the workflow to copy'
+      },
+      name: {
+        type: 'string',
+        description: 'Name for the copy'
+      },
+      active: {
+        type: 'boolean',
+        description: 'Make the copy active straight away (default false)'
+      },
+      dryRun: dryRunParameter
+    },
+    required: ['id', 'name']
+  },
+  handler: async (params) => {
+    try {
+      const source = await apiClient.getWorkflow(params.id, true);
+      const existing = await apiClient.getWorkflows(true);
+      const { payload, collision, errors } = planClone(source, existing, {
+        name: params.name,
+        active: params.active
+      });
+
+      if (collision) {
+        return {
+          error: `A workflow named "${collision.name}" already exists (ID ${collision.id})`
+        };
+      }
+
+      if (isDryRun(params)) {
+        return {
+          ...buildCreatePreview([payload]),
+          operation: 'cloneWorkflow',
+          sourceId: source.id
+        };
+      }
+
+      if (errors.length > 0) {
+        return {
+          error: 'Invalid clone payload',
+          errors
+        };
+      }
+
+      const result = await apiClient.createWorkflows([payload]);
+      return {
+        success: true,
+        message: `Cloned workflow ${source.id} as "${payload.name}"`,
+        clone: summarizeWorkflow(payload),
+        // Problems in the source workflow are copied too, so report them rather than refuse
+        validation: validateWorkflow(payload),
+        result
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add exportWorkflows tool
+ */
+tools.push({
+  name: 'exportWorkflows',
+  description: 'Export workflows to a portable, versioned JSON bundle with tenant-specific IDs removed',
+  parameters: {
+    type: 'object',
+    properties: {
+      ids: {
+        type: 'array',
+        items: { type: 'number' },
+        description: 'Workflow IDs to export (exports all workflows if omitted)'
+      },
+      includeinactive: {
+        type: 'boolean',
+        description: 'Include inactive workflows when exporting all workflows'
+      },
+      outputPath: {
+        type: 'string',
+        description: 'File to write the bundle to, relative to the bundle directory (HALOPSA_BUNDLE_DIR). If omitted, the bundle is returned in the response'
+      },
+      overwrite: {
+        type: 'boolean',
+        description: 'Replace outputPath if it already exists (default false)'
+      }
+    }
+  },
+  handler: async (params) => {
+    try {
+      const bundle = await exportBundle(apiClient, {
+        ids: params?.ids,
+        includeInactive: params?.includeinactive,
+        source: { tenant: config.api.tenant }
+      });
+
+      if (!params?.outputPath) {
+        return bundle;
+      }
+
+      const filePath = await writeBundle(bundle, resolveBundlePath(config.paths.bundles, params.outputPath), {
+        overwrite: params.overwrite === true
+      });
+      return {
+        success: true,
+        message: `Exported ${bundle.workflows.length} workflows to ${filePath}`,
+        path: filePath,
+        manifest: bundle.manifest
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add importWorkflows tool
+ */
+tools.push({
+  name: 'importWorkflows',
+  description: 'Import workflows from a bundle created by exportWorkflows, re-linking steps, transitions and cross-workflow references',
+  parameters: {
+    type: 'object',
+    properties: {
+      path: {
+        type: 'string',
+        description: 'Bundle file to import, relative to the bundle directory (HALOPSA_BUNDLE_DIR)'
+      },
+      bundle: {
+        type: 'object',
+        description: 'Bundle object to import (instead of path)'
+      },
+      strategy: {
+        type: 'string',
+        enum: IMPORT_STRATEGIES,
+        description: 'What to do when a workflow with the same name exists: skip (default), rename or overwrite'
+      },
+      keys: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Only import the workflows with these bundle keys'
+      },
+      workflowMap: {
+        type: 'object',
+        description: 'Target workflow IDs by source workflow ID, for steps linking to workflows outside the bundle (see manifest.externalReferences). Unmapped links are cleared'
+      },
+      dryRun: dryRunParameter
+    }
+  },
+  handler: async (params) => {
+    try {
+      let bundle;
+      if (params?.path) {
+        bundle = await readBundle(resolveBundlePath(config.paths.bundles, params.path));
+      } else if (params?.bundle) {
+        const errors = findBundleErrors(params.bundle);
+        if (errors.length > 0) {
+          return {
+            error: 'Invalid workflow bundle',
+            errors
+          };
+        }
+        bundle = params.bundle;
+      } else {
+        return {
+          error: 'Provide either path or bundle'
+        };
+      }
+
+      return await importBundle(apiClient, bundle, {
+        strategy: params.strategy || 'skip',
+        keys: params.keys,
+        workflowMap: params.workflowMap,
+        dryRun: isDryRun(params),
+        snapshotStore: snapshots
+      });
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add diffWorkflows tool
+ */
+tools.push({
+  name: 'diffWorkflows',
+  description: 'Compare two workflows, or a workflow and a bundle entry, listing added/removed/renamed steps and changed transitions, stages, targets and settings',
+  parameters: {
+    type: 'object',
+    properties: {
+      leftId: {
+        type: 'number',
+        description: 'ID of the workflow to compare from (the "before" side)'
+      },
+      rightId: {
+        type: 'number',
+        description: 'ID of the workflow to compare to'
+      },
+      bundlePath: {
+        type: 'string',
+        description: 'Bundle file holding the workflow to compare to (instead of rightId), relative to the bundle directory (HALOPSA_BUNDLE_DIR)'
+      },
+      bundleKey: {
+        type: 'string',
+        description: 'Key of the workflow in the bundle (required if the bundle holds more than one)'
+      }
+    },
+    required: ['leftId']
+  },
+  handler: async (params) => {
+    try {
+      const bundleFile = params.bundlePath ? resolveBundlePath(config.paths.bundles, params.bundlePath) : null;
+      let left = await apiClient.getWorkflow(params.leftId, true);
+      let right;
+      if (bundleFile) {
+        right = getBundleWorkflow(await readBundle(bundleFile), params.bundleKey);
+        // Bundles number their steps from 1, so align the live workflow the same way
+        left = remapStepIds(left).workflow;
+      } else if (params.rightId !== undefined) {
+        right = await apiClient.getWorkflow(params.rightId, true);
+      } else {
+        return {
+          error: 'Provide either rightId or bundlePath'
+        };
+      }
+
+      return diffWorkflows(left, right);
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add validateWorkflow tool
+ */
+tools.push({
+  name: 'validateWorkflow',
+  description: 'Check a workflow graph for missing or multiple start steps, unreachable and dead-end steps, broken transitions, stage outcomes and time limits',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'ID of an existing workflow to validate'
+      },
+      workflow: {
+        type: 'object',
+        description: 'FlowHeader to validate (instead of id), e.g. a payload intended for createWorkflows'
+      }
+    }
+  },
+  handler: async (params) => {
+    try {
+      let workflow = params?.workflow;
+      if (params?.id !== undefined) {
+        workflow = await apiClient.getWorkflow(params.id, true);
+      }
+      if (!workflow) {
+        return {
+          error: 'Provide either id or workflow'
+        };
+      }
+
+      return {
+        workflow: workflow.name ?? null,
+        ...validateWorkflow(workflow)
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add renderWorkflowDiagram tool
+ */
+tools.push({
+  name: 'renderWorkflowDiagram',
+  description: 'Render a workflow as a Mermaid flowchart or Graphviz DOT diagram, with start/end steps, stages and transitions labelled by action and time limit',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'ID of the workflow to render'
+      },
+      format: {
+        type: 'string',
+        enum: DIAGRAM_FORMATS,
+        description: 'Diagram format: mermaid (default) or dot'
+      }
+    },
+    required: ['id']
+  },
+  handler: async (params) => {
+    try {
+      const workflow = await apiClient.getWorkflow(params.id, true);
+      // Returned as plain text so it can be pasted straight into docs
+      return renderWorkflowDiagram(workflow, params.format || 'mermaid');
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add compileWorkflowDsl tool
+ */
+tools.push({
+  name: 'compileWorkflowDsl',
+  description: 'Compile a YAML workflow definition (steps, transitions by step name, stages, time limits, approvals) into a validated FlowHeader payload for createWorkflows',
+  parameters: {
+    type: 'object',
+    properties: {
+      source: {
+        type: 'string',
+        description: 'Workflow definition in the YAML workflow DSL (see docs/API.md)'
+      }
+    },
+    required: ['source']
+  },
+  handler: async (params) => {
+    try {
+      const { workflow, errors, warnings } = compileWorkflowDsl(params.source);
+      if (errors.length > 0) {
+        return {
+          error: 'Workflow definition has errors',
+          errors,
+          warnings
+        };
+      }
+
+      return {
+        workflow,
+        warnings,
+        validation: validateWorkflow(workflow)
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add decompileWorkflow tool
+ */
+tools.push({
+  name: 'decompileWorkflow',
+  description: 'Convert an existing workflow into the YAML workflow DSL so it can be read, edited and compiled again',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'ID of the workflow to decompile'
+      }
+    },
+    required: ['id']
+  },
+  handler: async (params) => {
+    try {
+      const workflow = await apiClient.getWorkflow(params.id, true);
+      const { source, warnings } = decompileWorkflowDsl(workflow);
+      return {
+        id: workflow.id,
+        name: workflow.name,
+        warnings,
+        source
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add listWorkflowTemplates tool
+ */
+tools.push({
+  name: 'listWorkflowTemplates',
+  description: 'List the built-in workflow templates (onboarding, offboarding, change management, procurement approval, escalation) and their parameters',
+  parameters: {
+    type: 'object',
+    properties: {}
+  },
+  handler: async () => {
+    try {
+      return await templates.list();
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add instantiateWorkflowTemplate tool
+ */
+tools.push({
+  name: 'instantiateWorkflowTemplate',
+  description: 'Fill in a built-in workflow template with parameters such as team names and SLA minutes, producing a validated FlowHeader payload for createWorkflows',
+  parameters: {
+    type: 'object',
+    properties: {
+      templateId: {
+        type: 'string',
+        description: 'ID of the template (see listWorkflowTemplates)'
+      },
+      parameters: {
+        type: 'object',
+        description: 'Template parameter values by name; parameters with a default may be left out'
+      },
+      actionIds: {
+        type: 'object',
+        description: 'Tenant action IDs by action name, e.g. { "Approve": 11 }'
+      }
+    },
+    required: ['templateId']
+  },
+  handler: async (params) => {
+    try {
+      const { workflow, errors, warnings } = await templates.instantiate(
+        params.templateId,
+        params.parameters || {},
+        params.actionIds || {}
+      );
+      if (errors.length > 0) {
+        return {
+          error: 'Template could not be instantiated',
+          errors,
+          warnings
+        };
+      }
+
+      return {
+        workflow,
+        warnings,
+        validation: validateWorkflow(workflow)
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add workflowUsageReport tool
+ */
+tools.push({
+  name: 'workflowUsageReport',
+  description: 'Report per workflow how many open tickets sit at each step, recent step history, last activity and last change made through this server (edits made directly in HaloPSA are not tracked), flagging active workflows unused for N days; returned as rows, a Markdown table and CSV',
+  parameters: {
+    type: 'object',
+    properties: {
+      ids: {
+        type: 'array',
+        items: { type: 'number' },
+        description: 'Workflow IDs to report on (reports on all workflows if omitted)'
+      },
+      includeinactive: {
+        type: 'boolean',
+        description: 'Include inactive workflows when reporting on all workflows'
+      },
+      unusedDays: {
+        type: 'number',
+        description: 'Flag active workflows with no open tickets and no activity for this many days (default: 90)'
+      },
+      historyLimit: {
+        type: 'number',
+        description: 'Recent history entries to include per workflow (default: 5)'
+      }
+    }
+  },
+  handler: async (params) => {
+    try {
+      let workflowIds = params?.ids;
+      if (!workflowIds || workflowIds.length === 0) {
+        const list = await apiClient.getWorkflows(params?.includeinactive);
+        workflowIds = list.map(workflow => workflow.id);
+      }
+
+      const workflows = [];
+      for (const id of workflowIds) {
+        workflows.push(await apiClient.getWorkflow(id, true));
+      }
+      const lastChanged = await snapshots.lastChangedByWorkflow();
+      const { tickets, truncated } = await apiClient.getOpenTickets();
+
+      return {
+        ...buildUsageReport(workflows, tickets, {
+          unusedDays: params?.unusedDays ?? 90,
+          historyLimit: params?.historyLimit ?? 5,
+          lastChanged
+        }),
+        ticketsScanned: tickets.length,
+        truncated
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add findStuckTickets tool
+ */
+tools.push({
+  name: 'findStuckTickets',
+  description: 'Find open tickets that have been on their workflow step longer than the step\'s time limit, grouped by workflow and step with age and assignee',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'Only check this workflow ID (checks all active workflows if omitted)'
+      },
+      defaultLimitMins: {
+        type: 'number',
+        description: 'Also treat tickets as stuck on steps without a time limit after this many minutes'
+      },
+      includeWorkHours: {
+        type: 'boolean',
+        description: 'Also check time limits that count working hours, comparing them with calendar time (default false)'
+      }
+    }
+  },
+  handler: async (params) => {
+    try {
+      let workflowIds = params?.id === undefined ? null : [params.id];
+      if (!workflowIds) {
+        const list = await apiClient.getWorkflows(false);
+        workflowIds = list.map(workflow => workflow.id);
+      }
+
+      const workflows = [];
+      for (const id of workflowIds) {
+        workflows.push(await apiClient.getWorkflow(id, true));
+      }
+      const { tickets, truncated } = await apiClient.getOpenTickets();
+
+      return {
+        ...findOverdueTickets(workflows, tickets, {
+          defaultLimitMins: params?.defaultLimitMins,
+          includeWorkHours: params?.includeWorkHours
+        }),
+        ticketsScanned: tickets.length,
+        truncated
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add moveTicketWorkflowStep tool
+ */
+tools.push({
+  name: 'moveTicketWorkflowStep',
+  description: 'Move a ticket along its workflow by applying an action, refusing actions that are not transitions of its current step (or always-allowed actions of the workflow)',
+  parameters: {
+    type: 'object',
+    properties: {
+      ticketId: {
+        type: 'number',
+        description: 'The ticket ID'
+      },
+      action: {
+        ...actionRefParameter,
+        description: 'Action to apply: its ID, or its name as shown on the current step'
+      },
+      toStep: {
+        type: ['number', 'string'],
+        description: 'Step to move the ticket to (step_id or name); the action leading there is looked up when action is omitted'
+      },
+      note: {
+        type: 'string',
+        description: 'Note to record with the action'
+      },
+      dryRun: dryRunParameter
+    },
+    required: ['ticketId']
+  },
+  handler: async (params) => {
+    try {
+      const ticket = await apiClient.getTicket(params.ticketId);
+      if (!ticket.workflow_id) {
+        return {
+          error: `Ticket ${params.ticketId} is not on a workflow`
+        };
+      }
+      const workflow = await apiClient.getWorkflow(ticket.workflow_id, true);
+      const plan = planTicketMove(workflow, ticket, { action: params.action, to: params.toStep });
+      const summary = `"${plan.action.action_name}" on ticket ${plan.ticket_id} (${plan.from.name} -> ${plan.to.name})`;
+
+      if (isDryRun(params)) {
+        return {
+          dryRun: true,
+          operation: 'moveTicketWorkflowStep',
+          message: `Would apply ${summary}`,
+          workflow: summarizeWorkflow(workflow),
+          ...plan
+        };
+      }
+
+      await apiClient.addTicketAction({
+        ticket_id: plan.ticket_id,
+        outcome_id: plan.action.action_id,
+        outcome: plan.action.action_name,
+        note: params.note ?? ''
+      });
+      const updated = await apiClient.getTicket(plan.ticket_id);
+      const step = (workflow.steps || []).find(candidate => candidate.step_id === updated.workflow_step);
+      const arrived = updated.workflow_step === plan.to.step_id;
+      return {
+        success: true,
+        message: `Applied ${summary}`,
+        ...plan,
+        step: { step_id: updated.workflow_step ?? null, name: step?.name ?? null },
+        ...(arrived ? {} : {
+          warning: `Ticket is on "${step?.name ?? updated.workflow_step}", not "${plan.to.name}" - the move may be waiting for approval or blocked by a restriction`
+        })
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add searchWorkflows tool
+ */
+tools.push({
+  name: 'searchWorkflows',
+  description: 'Search workflows by name (substring or regex), active/in-use flags, ticket type, step name, action name and last change made through this server, returning a page of compact summaries. Changes made in HaloPSA itself are not seen: FlowHeader has no modification date, so the change filter relies on local snapshots',
+  parameters: {
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        description: 'Text the workflow name contains (case-insensitive)'
+      },
+      regex: {
+        type: 'boolean',
+        description: 'Treat name as a regular expression'
+      },
+      active: {
+        type: 'boolean',
+        description: 'Only active (true) or inactive (false) workflows'
+      },
+      inUse: {
+        type: 'boolean',
+        description: 'Only workflows that are (true) or are not (false) in use by tickets'
+      },
+      ticketType: {
+        type: ['number', 'string'],
+        description: 'Only workflows used by this ticket type (ID or name)'
+      },
+      step: {
+        type: 'string',
+        description: 'Only workflows with a step whose name contains this text'
+      },
+      action: {
+        type: 'string',
+        description: 'Only workflows with a transition whose action name contains this text'
+      },
+      changedHereSince: {
+        type: 'string',
+        description: 'Only workflows changed through this server since this date (ISO 8601). Changes made directly in HaloPSA are not tracked'
+      },
+      offset: {
+        type: 'number',
+        description: 'Results to skip (default: 0)'
+      },
+      limit: {
+        type: 'number',
+        description: `Results to return (default: ${DEFAULT_PAGE_SIZE}, at most ${MAX_PAGE_SIZE})`
+      }
+    }
+  },
+  handler: async (params) => {
+    try {
+      const [workflows, steps, ticketTypes, lastChanged] = await Promise.all([
+        apiClient.getWorkflows(true),
+        apiClient.getWorkflowSteps(),
+        apiClient.getTicketTypes(),
+        snapshots.lastChangedByWorkflow()
+      ]);
+
+      return searchWorkflows(workflows, params || {}, { steps, ticketTypes, lastChanged });
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add workflowDependencyGraph tool
+ */
+tools.push({
+  name: 'workflowDependencyGraph',
+  description: 'Build the tenant-wide graph of workflows handing tickets to other workflows and using runbooks and actions, detect cycles, and show what would break if a workflow were deleted',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'Workflow to check: returns what deleting it would break and only the edges that touch it'
+      }
+    }
+  },
+  handler: async (params) => {
+    try {
+      const [graph, ticketTypes] = await Promise.all([
+        loadDependencyGraph(),
+        apiClient.getTicketTypes()
+      ]);
+      const cycles = findWorkflowCycles(graph);
+
+      if (params?.id === undefined) {
+        return { ...graph, cycles };
+      }
+      if (!graph.workflows.some(workflow => workflow.id === params.id)) {
+        return {
+          error: `Workflow ${params.id} not found`
+        };
+      }
+
+      const touches = edge => edge.from === params.id || edge.to === params.id;
+      return {
+        workflow: graph.workflows.find(workflow => workflow.id === params.id),
+        deletion: assessWorkflowDeletion(graph, params.id, ticketTypes),
+        edges: {
+          workflows: graph.edges.workflows.filter(touches),
+          runbooks: graph.edges.runbooks.filter(touches),
+          actions: graph.edges.actions.filter(touches)
+        },
+        cycles: cycles.filter(cycle => cycle.some(member => member.id === params.id))
+      };
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add workflowMetrics tool
+ */
+tools.push({
+  name: 'workflowMetrics',
+  description: 'Compute complexity and quality metrics per workflow (steps, transitions, longest path, cyclomatic complexity, approval steps, time-limited transitions, unused stages) and flag tenant-wide outliers',
+  parameters: {
+    type: 'object',
+    properties: {
+      ids: {
+        type: 'array',
+        items: { type: 'number' },
+        description: 'Workflow IDs to measure (measures all workflows if omitted)'
+      },
+      includeinactive: {
+        type: 'boolean',
+        description: 'Include inactive workflows when measuring all workflows'
+      }
+    }
+  },
+  handler: async (params) => {
+    try {
+      let workflowIds = params?.ids;
+      if (!workflowIds || workflowIds.length === 0) {
+        const list = await apiClient.getWorkflows(params?.includeinactive);
+        workflowIds = list.map(workflow => workflow.id);
+      }
+
+      const workflows = [];
+      for (const id of workflowIds) {
+        workflows.push(await apiClient.getWorkflow(id, true));
+      }
+      return buildMetricsReport(workflows);
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add simulateWorkflow tool
+ */
+tools.push({
+  name: 'simulateWorkflow',
+  description: 'Walk a simulated ticket through a workflow without touching real tickets: apply actions, field values and elapsed time, evaluate restrictions and conditions locally, and report the path, time-limit escalations and where it got stuck',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'ID of the workflow to simulate'
+      },
+      bundlePath: {
+        type: 'string',
+        description: 'Bundle file holding the workflow to simulate (instead of id), relative to the bundle directory (HALOPSA_BUNDLE_DIR)'
+      },
+      bundleKey: {
+        type: 'string',
+        description: 'Key of the workflow in the bundle (required if the bundle holds more than one)'
+      },
+      workflow: {
+        type: 'object',
+        description: 'FlowHeader to simulate (instead of id), e.g. a payload from compileWorkflowDsl'
+      },
+      events: {
+        type: 'array',
+        items: { type: 'object' },
+        description: 'Events in order: { action, after?, fields? } applies an action (after waiting "after" minutes), { fields } sets field values, { wait } lets minutes pass'
+      },
+      fields: {
+        type: 'object',
+        description: 'Initial field values: restriction field_ids and condition fieldnames as keys'
+      },
+      startStep: {
+        type: ['number', 'string'],
+        description: 'Step to start on (step_id or name); defaults to the start step'
+      }
+    }
+  },
+  handler: async (params) => {
+    try {
+      let workflow = params?.workflow;
+      if (params?.id !== undefined) {
+        workflow = await apiClient.getWorkflow(params.id, true);
+      } else if (params?.bundlePath) {
+        workflow = getBundleWorkflow(await readBundle(resolveBundlePath(config.paths.bundles, params.bundlePath)), params.bundleKey);
+      }
+      if (!workflow) {
+        return {
+          error: 'Provide id, bundlePath or workflow'
+        };
+      }
+
+      return simulateWorkflow(workflow, {
+        events: params.events,
+        fields: params.fields,
+        startStep: params.startStep
+      });
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
+/**
+ * Add documentWorkflow tool
+ */
+tools.push({
+  name: 'documentWorkflow',
+  description: 'Write a standard operating procedure for a workflow in Markdown or HTML: purpose, stages, each step with its message, allowed actions, approvals, time limits and escalations, and an embedded diagram',
+  parameters: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'ID of the workflow to document'
+      },
+      workflow: {
+        type: 'object',
+        description: 'FlowHeader to document (instead of id), e.g. a payload from compileWorkflowDsl'
+      },
+      format: {
+        type: 'string',
+        enum: DOCUMENT_FORMATS,
+        description: 'Document format: markdown (default) or html'
+      }
+    }
+  },
+  handler: async (params) => {
+    try {
+      if (params?.id === undefined && !params?.workflow) {
+        return {
+          error: 'Provide either id or workflow'
+        };
+      }
+
+      // Ticket types and workflow names are only looked up for stored workflows,
+      // so an inline draft can be documented without reaching the API
+      let workflow = params.workflow;
+      let context = {};
+      if (params.id !== undefined) {
+        const [stored, ticketTypes, headers] = await Promise.all([
+          apiClient.getWorkflow(params.id, true),
+          apiClient.getTicketTypes(),
+          apiClient.getWorkflows(true)
+        ]);
+        workflow = stored;
+        context = {
+          ticketTypes: findTicketTypesForWorkflow(ticketTypes, params.id),
+          workflowNames: new Map(headers.map(header => [header.id, header.name]))
+        };
+      }
+      const procedure = buildProcedure(workflow, context);
+      // Returned as plain text so it can be dropped straight into a knowledge base
+      return params.format === 'html' ? renderProcedureHtml(procedure) : renderProcedureMarkdown(procedure);
+    } catch (error) {
+      return {
+        error: error.message
+      };
+    }
+  }
+});
+
 /**
  * Add healthcheck tool
  */
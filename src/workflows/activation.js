@@ -0,0 +1,101 @@
+/**
+ * Workflow Activation
+ * Checks what activating or deactivating a workflow would affect before it is changed
+ */
+import { summarizeWorkflow } from './preview.js';
+import { validateWorkflow } from './validator.js';
+
+// FlowDetail fields that hand a ticket over to another workflow
+export const WORKFLOW_LINK_FIELDS = ['new_flow_id', 'start_new_chat_flow_id'];
+
+/**
+ * Find steps of other workflows that hand tickets over to a workflow
+ * @param {Array<Object>} steps - FlowDetail records across the tenant (GET /WorkflowStep)
+ * @param {number} workflowId - Workflow being linked to
+ * @returns {Array<Object>} Linking steps with the workflow they belong to
+ */
+export function findLinkingSteps(steps, workflowId) {
+  const links = [];
+  for (const step of steps || []) {
+    if (step.flow_id === workflowId) continue;
+    for (const field of WORKFLOW_LINK_FIELDS) {
+      if (step[field] === workflowId) {
+        links.push({ flow_id: step.flow_id, step_id: step.step_id, step: step.name ?? null, field });
+      }
+    }
+  }
+  return links;
+}
+
+/**
+ * Get the FlowHeader fields that activate or deactivate a workflow
+ * HaloPSA hides a workflow marked notinuse even when it is active, so the two
+ * flags are always set together.
+ * @param {boolean} active - Requested active flag
+ * @returns {Object} active and notinuse values
+ */
+export function getActivationFields(active) {
+  return { active, notinuse: !active };
+}
+
+/**
+ * Assess the impact of changing a workflow's active flag
+ * Deactivation is blocked while tickets use the workflow or active workflows hand
+ * tickets over to it. Activation is never blocked, but graph errors are reported.
+ * @param {Object} workflow - FlowHeader fetched with includedetails=true
+ * @param {boolean} active - Requested active flag
+ * @param {Array<Object>} links - Linking steps from findLinkingSteps
+ * @param {Array<Object>} workflows - Workflow headers across the tenant, for names and active flags
+ * @returns {Object} Flag changes, blockers and warnings
+ */
+export function assessActivationChange(workflow, active, links = [], workflows = []) {
+  const blockers = [];
+  const warnings = [];
+  const headers = new Map(workflows.map(header => [header.id, header]));
+
+  const linkedFrom = links.map(link => {
+    const header = headers.get(link.flow_id);
+    return {
+      ...link,
+      workflow: header?.name ?? null,
+      active: header ? header.active !== false : null
+    };
+  });
+
+  const fields = getActivationFields(active);
+  const changes = Object.fromEntries(Object.entries(fields).map(([field, value]) => [
+    field,
+    { from: workflow[field] ?? null, to: value }
+  ]));
+  if (Object.entries(fields).every(([field, value]) => Boolean(workflow[field]) === value)) {
+    warnings.push(`Workflow is already ${active ? 'active' : 'inactive'}`);
+  }
+
+  if (!active) {
+    if (workflow.in_use) {
+      blockers.push('Workflow is in use by tickets - deactivating it may strand them');
+    }
+    for (const link of linkedFrom) {
+      const message = `Step "${link.step}" of workflow ${link.workflow ? `"${link.workflow}" ` : ''}(${link.flow_id}) hands tickets over to this workflow (${link.field})`;
+      if (link.active === false) {
+        warnings.push(`${message}, but that workflow is inactive`);
+      } else {
+        blockers.push(message);
+      }
+    }
+  } else {
+    const validation = validateWorkflow(workflow);
+    for (const finding of validation.findings.filter(f => f.severity === 'error')) {
+      warnings.push(`Validation: ${finding.message}`);
+    }
+  }
+
+  return {
+    workflow: summarizeWorkflow(workflow),
+    active,
+    changes,
+    blockers,
+    warnings,
+    linkedFrom
+  };
+}
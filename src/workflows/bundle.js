@@ -0,0 +1,256 @@
+/**
+ * Workflow Bundles
+ * Versioned, tenant-independent JSON format for moving workflows between HaloPSA tenants
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { remapStepIds, stripServerIds } from './portable.js';
+
+export const BUNDLE_FORMAT = 'halopsa-workflows-bundle';
+export const BUNDLE_VERSION = 1;
+
+// FlowDetail fields that point at another workflow
+const WORKFLOW_REFERENCE_FIELDS = ['new_flow_id', 'start_new_chat_flow_id'];
+
+/**
+ * Turn a workflow name into a stable bundle key
+ * @param {string} name - Workflow name
+ * @param {Set<string>} used - Keys already taken in the bundle
+ * @returns {string} Unique key
+ */
+function makeKey(name, used) {
+  const base = String(name || 'workflow')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'workflow';
+
+  let key = base;
+  for (let suffix = 2; used.has(key); suffix++) {
+    key = `${base}-${suffix}`;
+  }
+  used.add(key);
+  return key;
+}
+
+/**
+ * Count the transitions (FlowSubDetail records) of a workflow
+ * @param {Object} workflow - FlowHeader with steps
+ * @returns {number} Number of transitions
+ */
+function countTransitions(workflow) {
+  return (workflow.steps || []).reduce((total, step) => total + (step.actions || []).length, 0);
+}
+
+/**
+ * Build a bundle from workflows fetched with includedetails=true
+ * References from one bundled workflow to another are moved into the manifest so
+ * they can be re-linked on import; references to workflows outside the bundle are
+ * kept as-is and listed as external.
+ * @param {Array<Object>} workflows - FlowHeaders with details
+ * @param {Object} [source] - Where the workflows came from (e.g. { tenant })
+ * @returns {Object} Bundle
+ */
+export function createBundle(workflows, source = {}) {
+  const used = new Set();
+  const keysById = new Map(workflows.map(workflow => [workflow.id, makeKey(workflow.name, used)]));
+
+  const references = [];
+  const externalReferences = [];
+  const entries = [];
+  const manifestWorkflows = [];
+
+  for (const workflow of workflows) {
+    const key = keysById.get(workflow.id);
+    const { workflow: definition } = remapStepIds(stripServerIds(workflow));
+
+    for (const step of definition.steps || []) {
+      for (const field of WORKFLOW_REFERENCE_FIELDS) {
+        const targetId = step[field] === null || step[field] === undefined || step[field] === ''
+          ? null
+          : Number(step[field]);
+        if (!targetId) continue;
+
+        if (keysById.has(targetId)) {
+          references.push({ workflow: key, step_id: step.step_id, field, target: keysById.get(targetId) });
+          step[field] = null;
+        } else {
+          externalReferences.push({ workflow: key, step_id: step.step_id, field, targetId });
+        }
+      }
+    }
+
+    entries.push({ key, definition });
+    manifestWorkflows.push({
+      key,
+      name: workflow.name ?? null,
+      sourceId: workflow.id,
+      active: workflow.active ?? null,
+      steps: (definition.steps || []).length,
+      transitions: countTransitions(definition),
+      stages: (definition.stages || []).length
+    });
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    manifest: {
+      exportedAt: new Date().toISOString(),
+      source,
+      workflows: manifestWorkflows,
+      references,
+      externalReferences
+    },
+    workflows: entries
+  };
+}
+
+/**
+ * Fetch workflows from HaloPSA and build a bundle
+ * @param {Object} client - HaloPSA API client
+ * @param {Object} options - Export options
+ * @param {Array<number>} [options.ids] - Workflow IDs to export (all workflows if omitted)
+ * @param {boolean} [options.includeInactive] - Include inactive workflows when exporting all
+ * @param {Object} [options.source] - Source details recorded in the manifest
+ * @returns {Promise<Object>} Bundle
+ */
+export async function exportBundle(client, { ids, includeInactive = false, source = {} } = {}) {
+  let workflowIds = ids;
+  if (!workflowIds || workflowIds.length === 0) {
+    const list = await client.getWorkflows(includeInactive);
+    workflowIds = list.map(workflow => workflow.id);
+  }
+
+  const workflows = [];
+  for (const id of workflowIds) {
+    workflows.push(await client.getWorkflow(id, true));
+  }
+  return createBundle(workflows, source);
+}
+
+/**
+ * Get one workflow definition from a bundle
+ * Links to other bundled workflows are restored to the IDs they had in the source
+ * tenant, so the definition can be compared with workflows from that tenant.
+ * @param {Object} bundle - Workflow bundle
+ * @param {string} [key] - Bundle key (may be omitted if the bundle holds one workflow)
+ * @returns {Object} Workflow definition
+ */
+export function getBundleWorkflow(bundle, key) {
+  if (!key && bundle.workflows.length !== 1) {
+    throw new Error(`Bundle holds ${bundle.workflows.length} workflows - specify a key (${bundle.workflows.map(e => e.key).join(', ')})`);
+  }
+
+  const entry = key ? bundle.workflows.find(e => e.key === key) : bundle.workflows[0];
+  if (!entry) {
+    throw new Error(`Workflow "${key}" not found in bundle`);
+  }
+
+  const definition = structuredClone(entry.definition);
+  const sourceIds = new Map((bundle.manifest?.workflows || []).map(w => [w.key, w.sourceId]));
+  for (const ref of bundle.manifest?.references || []) {
+    if (ref.workflow !== entry.key) continue;
+    const step = (definition.steps || []).find(s => s.step_id === ref.step_id);
+    if (step) {
+      step[ref.field] = sourceIds.get(ref.target) ?? null;
+    }
+  }
+  return definition;
+}
+
+/**
+ * Resolve a bundle file inside a bundle directory
+ * Tool parameters name bundle files relative to the configured directory, so a
+ * tool call cannot read or write files elsewhere on the host.
+ * @param {string} directory - Bundle directory
+ * @param {string} filePath - File path relative to the directory
+ * @returns {string} Absolute path inside the directory
+ */
+export function resolveBundlePath(directory, filePath) {
+  if (typeof filePath !== 'string' || filePath.trim() === '') {
+    throw new Error('Bundle path must be a non-empty string');
+  }
+  if (path.isAbsolute(filePath)) {
+    throw new Error(`Bundle path must be relative to the bundle directory, got ${filePath}`);
+  }
+  if (filePath.split(/[\\/]/).includes('..')) {
+    throw new Error(`Bundle path must not contain "..": ${filePath}`);
+  }
+
+  const root = path.resolve(directory);
+  const resolved = path.resolve(root, filePath);
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new Error(`Bundle path must point at a file inside the bundle directory: ${filePath}`);
+  }
+  return resolved;
+}
+
+/**
+ * Write a bundle to disk as formatted JSON
+ * @param {Object} bundle - Bundle to write
+ * @param {string} filePath - Destination file
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.overwrite=false] - Replace the file if it exists
+ * @returns {Promise<string>} Absolute path written
+ */
+export async function writeBundle(bundle, filePath, { overwrite = false } = {}) {
+  const resolved = path.resolve(filePath);
+  await fs.mkdir(path.dirname(resolved), { recursive: true });
+  try {
+    await fs.writeFile(resolved, JSON.stringify(bundle, null, 2) + '\n', { flag: overwrite ? 'w' : 'wx' });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new Error(`${resolved} already exists - pass overwrite to replace it`);
+    }
+    throw error;
+  }
+  return resolved;
+}
+
+/**
+ * Check that an object is a bundle this version can read
+ * @param {Object} bundle - Parsed bundle
+ * @returns {Array<string>} Problems found (empty if the bundle is usable)
+ */
+export function findBundleErrors(bundle) {
+  if (!bundle || typeof bundle !== 'object') {
+    return ['Bundle is not an object'];
+  }
+  if (bundle.format !== BUNDLE_FORMAT) {
+    return [`Unknown bundle format: ${bundle.format}`];
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+    return [`Unsupported bundle version ${bundle.version} (this server reads up to version ${BUNDLE_VERSION})`];
+  }
+
+  const errors = [];
+  if (!Array.isArray(bundle.workflows)) {
+    errors.push('Bundle has no workflows array');
+  } else {
+    const keys = new Set();
+    bundle.workflows.forEach((entry, index) => {
+      if (!entry?.key || !entry.definition || typeof entry.definition !== 'object') {
+        errors.push(`workflows[${index}] must have a key and a definition`);
+      } else if (keys.has(entry.key)) {
+        errors.push(`Duplicate workflow key: ${entry.key}`);
+      } else {
+        keys.add(entry.key);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Read and check a bundle file
+ * @param {string} filePath - Bundle file
+ * @returns {Promise<Object>} Bundle
+ */
+export async function readBundle(filePath) {
+  const bundle = JSON.parse(await fs.readFile(path.resolve(filePath), 'utf8'));
+  const errors = findBundleErrors(bundle);
+  if (errors.length > 0) {
+    throw new Error(`Invalid workflow bundle ${filePath}: ${errors.join('; ')}`);
+  }
+  return bundle;
+}
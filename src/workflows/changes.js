@@ -0,0 +1,70 @@
+/**
+ * Workflow Change Summaries
+ * Field-level before/after comparison of FlowHeader records
+ */
+
+/**
+ * Compare two values structurally
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values serialize identically
+ */
+export function isSameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Merge partial fields over an existing HaloPSA record
+ * Top-level fields are replaced as a whole; the record ID is never changed.
+ * @param {Object} record - Current record
+ * @param {Object} changes - Fields to apply
+ * @returns {Object} Merged record
+ */
+export function mergeRecordChanges(record, changes) {
+  return { ...record, ...changes, id: record.id };
+}
+
+/**
+ * Merge a partial FlowHeader over an existing workflow record
+ * @param {Object} workflow - Current workflow record
+ * @param {Object} changes - Partial FlowHeader fields to apply
+ * @returns {Object} Merged workflow record
+ */
+export function mergeWorkflowChanges(workflow, changes) {
+  return mergeRecordChanges(workflow, changes);
+}
+
+/**
+ * Reduce a value to something short enough to show in a summary
+ * Nested arrays such as steps or stages are reported by size only.
+ * @param {*} value - Field value
+ * @returns {*} Display value
+ */
+function describeValue(value) {
+  if (Array.isArray(value)) {
+    return `${value.length} item(s)`;
+  }
+  if (value && typeof value === 'object') {
+    return `${Object.keys(value).length} field(s)`;
+  }
+  return value ?? null;
+}
+
+/**
+ * Summarize the fields that differ between two workflow records
+ * @param {Object} before - Record before the change
+ * @param {Object} after - Record after the change
+ * @param {Array<string>} [fields] - Fields to compare (defaults to all fields of both records)
+ * @returns {Array<Object>} One entry per changed field with before/after values
+ */
+export function summarizeChanges(before = {}, after = {}, fields) {
+  const keys = fields || [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return keys
+    .filter(field => !isSameValue(before[field], after[field]))
+    .map(field => ({
+      field,
+      before: describeValue(before[field]),
+      after: describeValue(after[field])
+    }));
+}
@@ -0,0 +1,37 @@
+/**
+ * Workflow Cloning
+ * Copies a workflow (steps, transitions, stages and targets) under a new name
+ */
+import { toCreatePayload } from './portable.js';
+import { findPayloadErrors } from './preview.js';
+
+/**
+ * Find a workflow that already uses a name
+ * Names are compared case-insensitively, ignoring surrounding spaces.
+ * @param {Array<Object>} workflows - Workflows in the tenant, including inactive ones
+ * @param {string} name - Name to look for
+ * @returns {Object|null} Workflow with the name, if any
+ */
+export function findNameCollision(workflows, name) {
+  const wanted = String(name ?? '').trim().toLowerCase();
+  return workflows.find(workflow => String(workflow.name ?? '').trim().toLowerCase() === wanted) ?? null;
+}
+
+/**
+ * Plan a copy of a workflow
+ * The copy is inactive unless asked otherwise, so it can be edited before going live.
+ * @param {Object} source - FlowHeader fetched with includedetails=true
+ * @param {Array<Object>} existingWorkflows - Workflows in the tenant, including inactive ones
+ * @param {Object} options - Copy settings
+ * @param {string} options.name - Name for the copy
+ * @param {boolean} [options.active=false] - Make the copy active
+ * @returns {Object} createWorkflows payload, the workflow whose name it would reuse, and payload errors
+ */
+export function planClone(source, existingWorkflows, { name, active = false }) {
+  const payload = toCreatePayload(source, { name, active });
+  return {
+    payload,
+    collision: findNameCollision(existingWorkflows, name),
+    errors: findPayloadErrors([payload])
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * Confirmation Tokens
+ * Short-lived, session-bound tokens guarding destructive workflow operations
+ */
+import crypto from 'crypto';
+
+/**
+ * Fingerprint a workflow so a confirmation can be rejected if it changed
+ * Ticket history is excluded because it moves whenever tickets progress.
+ * @param {Object} workflow - FlowHeader fetched with includedetails=true
+ * @returns {string} SHA-256 hash of the workflow definition
+ */
+export function fingerprintWorkflow(workflow = {}) {
+  const { workflow_history: _history, ...definition } = workflow;
+  return crypto.createHash('sha256').update(JSON.stringify(definition)).digest('hex');
+}
+
+class ConfirmationStore {
+  constructor() {
+    this.tokens = new Map();
+  }
+
+  /**
+   * Remove expired tokens
+   * @param {number} now - Current time in milliseconds
+   */
+  prune(now = Date.now()) {
+    for (const [token, entry] of this.tokens) {
+      if (entry.expiresAt <= now) {
+        this.tokens.delete(token);
+      }
+    }
+  }
+
+  /**
+   * Issue a confirmation token for an operation
+   * @param {Object} options - Token details
+   * @param {string} options.sessionId - Session the token is bound to
+   * @param {string} options.operation - Tool name, e.g. deleteWorkflow
+   * @param {number} options.targetId - ID of the workflow being changed
+   * @param {string} options.fingerprint - Fingerprint of the workflow when the token was issued
+   * @param {number} options.ttlSeconds - Token lifetime in seconds
+   * @param {Object} [options.details] - Data worked out when the token was issued, returned by getDetails
+   * @returns {Object} Token and its expiry time
+   */
+  issue({ sessionId, operation, targetId, fingerprint, ttlSeconds, details = null }) {
+    this.prune();
+
+    const token = crypto.randomBytes(6).toString('hex');
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+    this.tokens.set(token, {
+      sessionId: sessionId ?? null,
+      operation,
+      targetId,
+      fingerprint,
+      details,
+      expiresAt
+    });
+
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Get the details stored with a token that has not expired
+   * @param {string} token - Token supplied by the caller
+   * @returns {Object|null} Details passed to issue
+   */
+  getDetails(token) {
+    this.prune();
+    return this.tokens.get(token)?.details ?? null;
+  }
+
+  /**
+   * Check and consume a confirmation token
+   * A token can only be redeemed once, whether or not it matches.
+   * @param {string} token - Token supplied by the caller
+   * @param {Object} expected - Details the token must match
+   * @returns {string|null} Reason the token was rejected, or null if it is valid
+   */
+  redeem(token, { sessionId, operation, targetId, fingerprint }) {
+    this.prune();
+
+    const entry = this.tokens.get(token);
+    if (!entry) {
+      return 'Confirmation token is unknown or has expired - request a new one';
+    }
+    this.tokens.delete(token);
+
+    if (entry.sessionId !== (sessionId ?? null)) {
+      return 'Confirmation token was issued to a different session';
+    }
+    if (entry.operation !== operation || entry.targetId !== targetId) {
+      return `Confirmation token was issued for ${entry.operation} on ${entry.targetId}`;
+    }
+    if (entry.fingerprint !== fingerprint) {
+      return 'Workflow has changed since the confirmation token was issued - review it and request a new token';
+    }
+    return null;
+  }
+}
+
+// Create singleton instance
+const confirmations = new ConfirmationStore();
+
+export { ConfirmationStore };
+export default confirmations;
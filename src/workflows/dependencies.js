@@ -0,0 +1,201 @@
+/**
+ * Workflow Dependencies
+ * Tenant-wide graph of what each workflow refers to, used to find cycles and to
+ * check what a deletion would break
+ *
+ * Workflow edges come from steps that hand tickets over to another workflow
+ * (WORKFLOW_LINK_FIELDS). Runbook and action edges come from the transitions:
+ * automation_runbook_id, and action_id / time_limit_action_id.
+ */
+import { WORKFLOW_LINK_FIELDS } from './activation.js';
+import { hasStepRef } from './graph.js';
+
+/**
+ * Attach tenant-wide steps to workflow headers
+ * @param {Array<Object>} workflows - Workflow headers
+ * @param {Array<Object>} steps - FlowDetail records across the tenant (GET /WorkflowStep)
+ * @returns {Array<Object>} Headers with their steps
+ */
+export function attachSteps(workflows, steps) {
+  return workflows.map(workflow => ({
+    ...workflow,
+    steps: steps.filter(step => step.flow_id === workflow.id)
+  }));
+}
+
+/**
+ * Add a reference to an edge, creating the edge on first use
+ * @param {Map<string, Object>} edges - Edges by key
+ * @param {string} key - Edge key
+ * @param {Object} edge - Edge fields
+ * @param {Object} via - Where the reference is made
+ */
+function addEdge(edges, key, edge, via) {
+  if (!edges.has(key)) {
+    edges.set(key, { ...edge, via: [] });
+  }
+  edges.get(key).via.push(via);
+}
+
+/**
+ * Build the dependency graph of a tenant
+ * @param {Array<Object>} workflows - Workflows with steps (includedetails=true, or attachSteps)
+ * @returns {Object} Workflow nodes and workflow, runbook and action edges
+ */
+export function buildDependencyGraph(workflows) {
+  const names = new Map(workflows.map(workflow => [workflow.id, workflow.name ?? null]));
+  const workflowEdges = new Map();
+  const runbookEdges = new Map();
+  const actionEdges = new Map();
+
+  for (const workflow of workflows) {
+    for (const step of workflow.steps || []) {
+      for (const field of WORKFLOW_LINK_FIELDS) {
+        if (!hasStepRef(step[field])) continue;
+        addEdge(workflowEdges, `${workflow.id}>${step[field]}`, {
+          from: workflow.id,
+          from_name: workflow.name ?? null,
+          to: step[field],
+          to_name: names.get(step[field]) ?? null,
+          missing: !names.has(step[field])
+        }, { step_id: step.step_id, step: step.name ?? null, field });
+      }
+
+      for (const action of step.actions || []) {
+        const via = { step_id: step.step_id, step: step.name ?? null, action: action.action_name ?? null };
+        if (hasStepRef(action.automation_runbook_id)) {
+          addEdge(runbookEdges, `${workflow.id}>${action.automation_runbook_id}`, {
+            from: workflow.id,
+            runbook_id: action.automation_runbook_id,
+            runbook_name: action.automation_runbook_name ?? null
+          }, via);
+        }
+        for (const [idField, nameField] of [['action_id', 'action_name'], ['time_limit_action_id', 'time_limit_action_name']]) {
+          if (!hasStepRef(action[idField])) continue;
+          addEdge(actionEdges, `${workflow.id}>${action[idField]}`, {
+            from: workflow.id,
+            action_id: action[idField],
+            action_name: action[nameField] ?? null
+          }, { ...via, field: idField });
+        }
+      }
+    }
+  }
+
+  return {
+    workflows: workflows.map(workflow => ({
+      id: workflow.id,
+      name: workflow.name ?? null,
+      active: workflow.active !== false
+    })),
+    edges: {
+      workflows: [...workflowEdges.values()],
+      runbooks: [...runbookEdges.values()],
+      actions: [...actionEdges.values()]
+    }
+  };
+}
+
+/**
+ * Find cycles of workflows handing tickets over to each other
+ * Uses Tarjan's strongly connected components; a workflow linking to itself is a cycle too.
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @returns {Array<Array<Object>>} Each cycle as the workflows in it
+ */
+export function findWorkflowCycles(graph) {
+  const outgoing = new Map();
+  for (const edge of graph.edges.workflows) {
+    if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+    outgoing.get(edge.from).push(edge.to);
+  }
+  const names = new Map(graph.workflows.map(workflow => [workflow.id, workflow.name]));
+
+  const index = new Map();
+  const lowlink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+  let counter = 0;
+
+  const visit = id => {
+    index.set(id, counter);
+    lowlink.set(id, counter);
+    counter++;
+    stack.push(id);
+    onStack.add(id);
+
+    for (const next of outgoing.get(id) || []) {
+      if (!index.has(next)) {
+        visit(next);
+        lowlink.set(id, Math.min(lowlink.get(id), lowlink.get(next)));
+      } else if (onStack.has(next)) {
+        lowlink.set(id, Math.min(lowlink.get(id), index.get(next)));
+      }
+    }
+
+    if (lowlink.get(id) === index.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+
+      if (component.length > 1 || (outgoing.get(id) || []).includes(id)) {
+        cycles.push(component.reverse().map(cycleId => ({ id: cycleId, name: names.get(cycleId) ?? null })));
+      }
+    }
+  };
+
+  for (const workflow of graph.workflows) {
+    if (!index.has(workflow.id)) {
+      visit(workflow.id);
+    }
+  }
+  return cycles;
+}
+
+/**
+ * Work out what deleting a workflow would break
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @param {number} workflowId - Workflow to delete
+ * @param {Array<Object>} [ticketTypes] - Ticket types, to find the ones that use the workflow
+ * @returns {Object} Direct and indirect dependents, ticket types and a summary of what breaks
+ */
+export function assessWorkflowDeletion(graph, workflowId, ticketTypes = []) {
+  const incoming = new Map();
+  for (const edge of graph.edges.workflows) {
+    if (!incoming.has(edge.to)) incoming.set(edge.to, []);
+    incoming.get(edge.to).push(edge);
+  }
+
+  const dependents = (incoming.get(workflowId) || [])
+    .filter(edge => edge.from !== workflowId)
+    .map(edge => ({ id: edge.from, name: edge.from_name, via: edge.via }));
+
+  // Workflows that reach the deleted one through other workflows
+  const seen = new Set([workflowId, ...dependents.map(dependent => dependent.id)]);
+  const queue = dependents.map(dependent => dependent.id);
+  const indirect = [];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    for (const edge of incoming.get(id) || []) {
+      if (seen.has(edge.from)) continue;
+      seen.add(edge.from);
+      indirect.push({ id: edge.from, name: edge.from_name, through: id });
+      queue.push(edge.from);
+    }
+  }
+
+  const boundTypes = ticketTypes
+    .filter(type => type.workflow_id === workflowId)
+    .map(type => ({ id: type.id, name: type.name ?? null }));
+
+  const breaks = [
+    ...dependents.map(dependent => `Workflow "${dependent.name}" (${dependent.id}) hands tickets over to it from step(s) ${dependent.via.map(via => `"${via.step}"`).join(', ')}`),
+    ...boundTypes.map(type => `Ticket type "${type.name}" (${type.id}) uses it for new tickets`)
+  ];
+
+  return { workflowId, dependents, indirect, ticketTypes: boundTypes, breaks };
+}
@@ -0,0 +1,183 @@
+/**
+ * Workflow Diagrams
+ * Renders a workflow's steps and transitions as Mermaid flowchart text or Graphviz DOT
+ */
+import { buildGraph, findTimeLimitTransition, isTerminalStep } from './graph.js';
+
+export const DIAGRAM_FORMATS = ['mermaid', 'dot'];
+
+/**
+ * Node ID of a step in the diagram
+ * @param {number} stepId - FlowDetail step_id
+ * @returns {string} Node ID
+ */
+function nodeId(stepId) {
+  return `step${String(stepId).replace(/[^A-Za-z0-9_]/g, '_')}`;
+}
+
+/**
+ * Label of a transition edge
+ * @param {Object} edge - Edge from buildGraph
+ * @returns {string} Action name, plus the time limit and the action it fires
+ */
+function edgeLabel({ step, transition }) {
+  const label = transition.action_name || `action ${transition.action_id ?? '?'}`;
+  if (!(transition.time_limit_mins > 0)) {
+    return label;
+  }
+  const fires = findTimeLimitTransition(step, transition)?.action_name || transition.time_limit_action_name ||
+    (transition.time_limit_action_id ? `action ${transition.time_limit_action_id}` : null);
+  return `${label} (${transition.time_limit_mins} min${fires ? `, then ${fires}` : ''})`;
+}
+
+/**
+ * Label of a step node
+ * @param {Object} step - FlowDetail
+ * @returns {string} Step name with start/end markers
+ */
+function nodeLabel(step) {
+  const name = step.name ?? `Step ${step.step_id}`;
+  if (step.isstart) return `START: ${name}`;
+  if (step.new_flow_id) return `${name} (to workflow ${step.new_flow_id})`;
+  if (isTerminalStep(step)) return `END: ${name}`;
+  return name;
+}
+
+/**
+ * Group steps by the stage they belong to
+ * @param {Object} workflow - FlowHeader
+ * @returns {Object} Stage groups in sequence order and steps without a stage
+ */
+function groupByStage(workflow) {
+  const steps = workflow.steps || [];
+  const groups = [...(workflow.stages || [])]
+    .sort((a, b) => (a.sequence ?? 0) - (b.sequence ?? 0))
+    .map(stage => ({
+      stage,
+      steps: steps.filter(step => step.stage_number !== undefined && step.stage_number !== null && step.stage_number === stage.sequence)
+    }))
+    .filter(group => group.steps.length > 0);
+
+  const grouped = new Set(groups.flatMap(group => group.steps));
+  return {
+    groups,
+    ungrouped: steps.filter(step => !grouped.has(step))
+  };
+}
+
+/**
+ * Escape text for a quoted Mermaid label
+ * @param {string} text - Label text
+ * @returns {string} Escaped text
+ */
+function mermaidText(text) {
+  return String(text).replace(/"/g, '#quot;').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render a workflow as a Mermaid flowchart
+ * Start steps are drawn as rounded nodes, end steps as double circles, stages as
+ * subgraphs, and transitions that keep the ticket on its step as dotted loops.
+ * @param {Object} workflow - FlowHeader with steps and their actions
+ * @returns {string} Mermaid source
+ */
+export function renderMermaid(workflow = {}) {
+  const graph = buildGraph(workflow);
+  const lines = ['flowchart TD'];
+
+  const node = step => {
+    const label = `"${mermaidText(nodeLabel(step))}"`;
+    if (step.isstart) return `${nodeId(step.step_id)}([${label}])`;
+    if (isTerminalStep(step)) return `${nodeId(step.step_id)}(((${label})))`;
+    return `${nodeId(step.step_id)}[${label}]`;
+  };
+
+  const { groups, ungrouped } = groupByStage(workflow);
+  groups.forEach((group, index) => {
+    lines.push(`  subgraph stage${index + 1}["${mermaidText(group.stage.name ?? `Stage ${group.stage.sequence}`)}"]`);
+    group.steps.forEach(step => lines.push(`    ${node(step)}`));
+    lines.push('  end');
+  });
+  ungrouped.forEach(step => lines.push(`  ${node(step)}`));
+
+  for (const edge of graph.edges) {
+    const label = `"${mermaidText(edgeLabel(edge))}"`;
+    if (edge.to === null) {
+      lines.push(`  ${nodeId(edge.from)} -.->|${label}| ${nodeId(edge.from)}`);
+    } else {
+      lines.push(`  ${nodeId(edge.from)} -->|${label}| ${nodeId(edge.to)}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Quote text for Graphviz DOT
+ * @param {string} text - Text to quote
+ * @returns {string} Quoted text
+ */
+function dotText(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+/**
+ * Render a workflow as a Graphviz DOT digraph
+ * Start steps are drawn as ellipses, end steps as double circles, stages as clusters,
+ * and transitions that keep the ticket on its step as dashed loops.
+ * @param {Object} workflow - FlowHeader with steps and their actions
+ * @returns {string} DOT source
+ */
+export function renderDot(workflow = {}) {
+  const graph = buildGraph(workflow);
+  const lines = [
+    `digraph ${dotText(workflow.name ?? `Workflow ${workflow.id ?? ''}`.trim())} {`,
+    '  rankdir=TB;',
+    '  node [shape=box, style=rounded];'
+  ];
+
+  const node = step => {
+    const attributes = [`label=${dotText(nodeLabel(step))}`];
+    if (step.isstart) attributes.push('shape=ellipse', 'style="rounded,bold"');
+    else if (isTerminalStep(step)) attributes.push('shape=doublecircle');
+    return `${nodeId(step.step_id)} [${attributes.join(', ')}];`;
+  };
+
+  const { groups, ungrouped } = groupByStage(workflow);
+  groups.forEach((group, index) => {
+    lines.push(`  subgraph cluster_stage${index + 1} {`);
+    lines.push(`    label=${dotText(group.stage.name ?? `Stage ${group.stage.sequence}`)};`);
+    group.steps.forEach(step => lines.push(`    ${node(step)}`));
+    lines.push('  }');
+  });
+  ungrouped.forEach(step => lines.push(`  ${node(step)}`));
+
+  for (const edge of graph.edges) {
+    const label = `label=${dotText(edgeLabel(edge))}`;
+    if (edge.to === null) {
+      lines.push(`  ${nodeId(edge.from)} -> ${nodeId(edge.from)} [${label}, style=dashed];`);
+    } else {
+      lines.push(`  ${nodeId(edge.from)} -> ${nodeId(edge.to)} [${label}];`);
+    }
+  }
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render a workflow diagram
+ * @param {Object} workflow - FlowHeader with steps and their actions
+ * @param {string} [format='mermaid'] - Diagram format (mermaid or dot)
+ * @returns {string} Diagram source
+ */
+export function renderWorkflowDiagram(workflow, format = 'mermaid') {
+  switch (format) {
+  case 'mermaid':
+    return renderMermaid(workflow);
+  case 'dot':
+    return renderDot(workflow);
+  default:
+    throw new Error(`Unknown diagram format "${format}" - use one of ${DIAGRAM_FORMATS.join(', ')}`);
+  }
+}
@@ -0,0 +1,279 @@
+/**
+ * Workflow Diff
+ * Semantic comparison of two FlowHeaders: steps, transitions, stages, targets and settings
+ */
+import { isSameValue } from './changes.js';
+import { stripServerIds } from './portable.js';
+
+// Layout and bookkeeping fields that change without the workflow's behaviour changing
+const VOLATILE_FIELDS = new Set([
+  'old_diagram_x',
+  'old_diagram_y',
+  'old_diagram_startpos',
+  'old_diagram_endpos',
+  'flow_chart_json',
+  'workflow_history',
+  'in_use',
+  '_warning'
+]);
+
+// Fields compared through their own section of the diff rather than as plain values
+const HEADER_STRUCTURE_FIELDS = new Set(['steps', 'stages', 'targets']);
+const STEP_STRUCTURE_FIELDS = new Set(['step_id', 'name', 'actions']);
+const TRANSITION_STRUCTURE_FIELDS = new Set(['start_step', 'end_step']);
+const STAGE_STRUCTURE_FIELDS = new Set(['name', 'outcome_step']);
+
+/**
+ * Compare the plain fields of two records
+ * @param {Object} before - Old record
+ * @param {Object} after - New record
+ * @param {Set<string>} skip - Fields compared elsewhere
+ * @returns {Array<Object>} Changed fields with before/after values
+ */
+function compareFields(before = {}, after = {}, skip = new Set()) {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => !skip.has(field) && !VOLATILE_FIELDS.has(field))
+    .sort();
+
+  return fields
+    .filter(field => !isSameValue(before[field], after[field]))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+/**
+ * Pair up steps of two workflows
+ * Steps are matched by name first; remaining steps that share a step ID are treated as renamed.
+ * @param {Array<Object>} leftSteps - Steps of the old workflow
+ * @param {Array<Object>} rightSteps - Steps of the new workflow
+ * @returns {Object} Matched pairs and unmatched steps
+ */
+function matchSteps(leftSteps, rightSteps) {
+  const pairs = [];
+  const unmatchedRight = [...rightSteps];
+  const unmatchedLeft = [];
+
+  for (const left of leftSteps) {
+    const index = unmatchedRight.findIndex(right => right.name === left.name);
+    if (index >= 0) {
+      pairs.push([left, unmatchedRight.splice(index, 1)[0]]);
+    } else {
+      unmatchedLeft.push(left);
+    }
+  }
+
+  const removed = [];
+  for (const left of unmatchedLeft) {
+    const index = unmatchedRight.findIndex(right => right.step_id === left.step_id);
+    if (index >= 0) {
+      pairs.push([left, unmatchedRight.splice(index, 1)[0]]);
+    } else {
+      removed.push(left);
+    }
+  }
+
+  return { pairs, removed, added: unmatchedRight };
+}
+
+/**
+ * Index the transitions of a workflow by source step name and action
+ * @param {Object} workflow - Workflow definition
+ * @param {Function} stepName - Resolves a step ID to the name used for matching
+ * @returns {Map<string, Object>} Transitions keyed by "step -> action"
+ */
+function indexTransitions(workflow, stepName) {
+  const transitions = new Map();
+  for (const step of workflow.steps || []) {
+    for (const action of step.actions || []) {
+      const from = stepName(action.start_step ?? step.step_id);
+      const label = action.action_name || `action ${action.action_id}`;
+      let key = `${from} -> ${label}`;
+      for (let n = 2; transitions.has(key); n++) {
+        key = `${from} -> ${label} #${n}`;
+      }
+      transitions.set(key, {
+        key,
+        from,
+        action: label,
+        to: action.end_step === undefined || action.end_step === null ? null : stepName(action.end_step),
+        transition: action
+      });
+    }
+  }
+  return transitions;
+}
+
+/**
+ * Compare two keyed collections
+ * @param {Map<string, Object>} left - Old records by key
+ * @param {Map<string, Object>} right - New records by key
+ * @returns {Object} Added, removed and common keys
+ */
+function compareKeys(left, right) {
+  return {
+    added: [...right.keys()].filter(key => !left.has(key)),
+    removed: [...left.keys()].filter(key => !right.has(key)),
+    common: [...left.keys()].filter(key => right.has(key))
+  };
+}
+
+/**
+ * Describe a value in one line for the summary
+ * @param {*} value - Field value
+ * @returns {string} Short description
+ */
+function formatValue(value) {
+  const text = JSON.stringify(value ?? null);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Compare two workflows
+ * @param {Object} leftWorkflow - Old workflow (FlowHeader with details)
+ * @param {Object} rightWorkflow - New workflow (FlowHeader with details)
+ * @returns {Object} Human-readable summary lines and a machine-readable patch
+ */
+export function diffWorkflows(leftWorkflow, rightWorkflow) {
+  const left = stripServerIds(leftWorkflow);
+  const right = stripServerIds(rightWorkflow);
+  const patch = [];
+
+  // Workflow settings
+  for (const change of compareFields(left, right, HEADER_STRUCTURE_FIELDS)) {
+    patch.push({ op: 'changeWorkflow', ...change });
+  }
+
+  // Steps - after matching, the new workflow's names are used everywhere so renamed steps line up
+  const { pairs, removed, added } = matchSteps(left.steps || [], right.steps || []);
+  const leftNames = new Map((left.steps || []).map(step => [step.step_id, step.name]));
+  const rightNames = new Map((right.steps || []).map(step => [step.step_id, step.name]));
+  for (const [leftStep, rightStep] of pairs) {
+    leftNames.set(leftStep.step_id, rightStep.name);
+  }
+  const leftStepName = id => leftNames.get(id) ?? `#${id}`;
+  const rightStepName = id => rightNames.get(id) ?? `#${id}`;
+
+  for (const step of removed) {
+    patch.push({ op: 'removeStep', step: step.name });
+  }
+  for (const step of added) {
+    const { actions: _actions, ...definition } = step;
+    patch.push({ op: 'addStep', step: step.name, definition });
+  }
+  for (const [leftStep, rightStep] of pairs) {
+    if (leftStep.name !== rightStep.name) {
+      patch.push({ op: 'renameStep', from: leftStep.name, to: rightStep.name });
+    }
+    for (const change of compareFields(leftStep, rightStep, STEP_STRUCTURE_FIELDS)) {
+      patch.push({ op: 'changeStep', step: rightStep.name, ...change });
+    }
+  }
+
+  // Transitions
+  const leftTransitions = indexTransitions(left, leftStepName);
+  const rightTransitions = indexTransitions(right, rightStepName);
+  const transitionKeys = compareKeys(leftTransitions, rightTransitions);
+  for (const key of transitionKeys.removed) {
+    const { from, action } = leftTransitions.get(key);
+    patch.push({ op: 'removeTransition', from, action });
+  }
+  for (const key of transitionKeys.added) {
+    const { from, action, to, transition } = rightTransitions.get(key);
+    patch.push({ op: 'addTransition', from, action, to, definition: transition });
+  }
+  for (const key of transitionKeys.common) {
+    const before = leftTransitions.get(key);
+    const after = rightTransitions.get(key);
+    if (before.to !== after.to) {
+      patch.push({ op: 'changeTransition', from: after.from, action: after.action, field: 'end_step', before: before.to, after: after.to });
+    }
+    for (const change of compareFields(before.transition, after.transition, TRANSITION_STRUCTURE_FIELDS)) {
+      patch.push({ op: 'changeTransition', from: after.from, action: after.action, ...change });
+    }
+  }
+
+  // Stages
+  const leftStages = new Map((left.stages || []).map(stage => [stage.name, stage]));
+  const rightStages = new Map((right.stages || []).map(stage => [stage.name, stage]));
+  const stageKeys = compareKeys(leftStages, rightStages);
+  for (const name of stageKeys.removed) {
+    patch.push({ op: 'removeStage', stage: name });
+  }
+  for (const name of stageKeys.added) {
+    patch.push({ op: 'addStage', stage: name, definition: rightStages.get(name) });
+  }
+  for (const name of stageKeys.common) {
+    const before = leftStages.get(name);
+    const after = rightStages.get(name);
+    const beforeOutcome = before.outcome_step === undefined || before.outcome_step === null ? null : leftStepName(before.outcome_step);
+    const afterOutcome = after.outcome_step === undefined || after.outcome_step === null ? null : rightStepName(after.outcome_step);
+    if (beforeOutcome !== afterOutcome) {
+      patch.push({ op: 'changeStage', stage: name, field: 'outcome_step', before: beforeOutcome, after: afterOutcome });
+    }
+    for (const change of compareFields(before, after, STAGE_STRUCTURE_FIELDS)) {
+      patch.push({ op: 'changeStage', stage: name, ...change });
+    }
+  }
+
+  // Targets
+  const leftTargets = new Map((left.targets || []).map(target => [target.name, target]));
+  const rightTargets = new Map((right.targets || []).map(target => [target.name, target]));
+  const targetKeys = compareKeys(leftTargets, rightTargets);
+  for (const name of targetKeys.removed) {
+    patch.push({ op: 'removeTarget', target: name });
+  }
+  for (const name of targetKeys.added) {
+    patch.push({ op: 'addTarget', target: name, definition: rightTargets.get(name) });
+  }
+  for (const name of targetKeys.common) {
+    for (const change of compareFields(leftTargets.get(name), rightTargets.get(name), new Set(['name']))) {
+      patch.push({ op: 'changeTarget', target: name, ...change });
+    }
+  }
+
+  return {
+    identical: patch.length === 0,
+    summary: patch.map(describeOperation),
+    patch
+  };
+}
+
+/**
+ * Describe a patch operation in one line
+ * @param {Object} op - Patch operation
+ * @returns {string} Summary line
+ */
+export function describeOperation(op) {
+  const change = `${op.field}: ${formatValue(op.before)} -> ${formatValue(op.after)}`;
+  switch (op.op) {
+  case 'changeWorkflow':
+    return `Workflow ${change}`;
+  case 'addStep':
+    return `+ Step "${op.step}" added`;
+  case 'removeStep':
+    return `- Step "${op.step}" removed`;
+  case 'renameStep':
+    return `~ Step "${op.from}" renamed to "${op.to}"`;
+  case 'changeStep':
+    return `~ Step "${op.step}" ${change}`;
+  case 'addTransition':
+    return `+ Transition "${op.action}" from "${op.from}"${op.to ? ` to "${op.to}"` : ''} added`;
+  case 'removeTransition':
+    return `- Transition "${op.action}" from "${op.from}" removed`;
+  case 'changeTransition':
+    return `~ Transition "${op.action}" from "${op.from}" ${change}`;
+  case 'addStage':
+    return `+ Stage "${op.stage}" added`;
+  case 'removeStage':
+    return `- Stage "${op.stage}" removed`;
+  case 'changeStage':
+    return `~ Stage "${op.stage}" ${change}`;
+  case 'addTarget':
+    return `+ Target "${op.target}" added`;
+  case 'removeTarget':
+    return `- Target "${op.target}" removed`;
+  case 'changeTarget':
+    return `~ Target "${op.target}" ${change}`;
+  default:
+    return JSON.stringify(op);
+  }
+}
@@ -0,0 +1,288 @@
+/**
+ * Workflow Documentation
+ * Turns a workflow into a standard operating procedure (SOP) in Markdown or HTML
+ *
+ * The procedure is built once as plain data (buildProcedure) and then rendered, so
+ * both formats describe exactly the same steps, actions and time limits.
+ */
+import { renderMermaid } from './diagram.js';
+import { APPROVAL_RESULTS } from './dsl.js';
+import { buildGraph, findReachable, findTimeLimitTransition, hasStepRef } from './graph.js';
+import { formatDuration } from './stuck.js';
+import { formatTable } from './tabular.js';
+
+export const DOCUMENT_FORMATS = ['markdown', 'html'];
+
+const ACTION_COLUMNS = [
+  { key: 'action', label: 'Action' },
+  { key: 'to', label: 'Leads to' },
+  { key: 'approval', label: 'Approval' },
+  { key: 'timeLimit', label: 'Time limit' },
+  { key: 'escalation', label: 'On expiry' }
+];
+
+const APPROVAL_LABELS = new Map(Object.entries(APPROVAL_RESULTS).map(([label, value]) => [value, label]));
+
+/**
+ * Order steps for reading: the start steps first, then in the order tickets reach them
+ * @param {Object} workflow - FlowHeader with steps
+ * @returns {Array<Object>} Steps
+ */
+function readingOrder(workflow) {
+  const graph = buildGraph(workflow);
+  const ordered = [...findReachable(graph, graph.startSteps.map(step => step.step_id))].map(id => graph.steps.get(id));
+  const listed = new Set(ordered);
+  return [...ordered, ...(workflow.steps || []).filter(step => !listed.has(step))];
+}
+
+/**
+ * Build the procedure for a workflow
+ * @param {Object} workflow - FlowHeader fetched with includedetails=true
+ * @param {Object} [context] - Names the workflow refers to
+ * @param {Array<Object>} [context.ticketTypes] - Ticket types that use the workflow
+ * @param {Map<number, string>} [context.workflowNames] - Names of other workflows, by ID
+ * @returns {Object} Procedure sections as plain data
+ */
+export function buildProcedure(workflow, { ticketTypes = [], workflowNames = new Map() } = {}) {
+  const steps = workflow.steps || [];
+  const names = new Map(steps.map(step => [step.step_id, step.name]));
+  const stages = [...(workflow.stages || [])].sort((a, b) => (a.sequence ?? 0) - (b.sequence ?? 0));
+  const stageNames = new Map(stages.map(stage => [stage.sequence, stage.name]));
+  const typeNames = ticketTypes.map(type => type.name);
+
+  const purpose = workflow.note
+    ? String(workflow.note)
+    : `This procedure describes how tickets move through the "${workflow.name}" workflow${typeNames.length > 0 ? ` used by ${typeNames.join(', ')} tickets` : ''}, from the moment they are logged until they are closed.`;
+
+  const procedureSteps = readingOrder(workflow).map(step => {
+    const actions = (step.actions || []).map(action => {
+      const timeLimit = action.time_limit_mins > 0
+        ? `${formatDuration(action.time_limit_mins)}${action.use_work_hours ? ' (working hours)' : ''}`
+        : null;
+      const escalation = findTimeLimitTransition(step, action)?.action_name ?? action.time_limit_action_name ??
+        (hasStepRef(action.time_limit_action_id) ? `Action ${action.time_limit_action_id}` : null);
+      return {
+        action: action.action_name ?? `Action ${action.action_id}`,
+        to: hasStepRef(action.end_step) ? names.get(action.end_step) ?? `step ${action.end_step}` : null,
+        approval: APPROVAL_LABELS.get(action.approval_result) ?? null,
+        timeLimit,
+        escalation: timeLimit ? escalation : null,
+        restricted: (action.restrictions || []).length > 0 || (action.conditions || []).length > 0
+      };
+    });
+    return {
+      step_id: step.step_id,
+      name: step.name ?? `Step ${step.step_id}`,
+      stage: stageNames.get(step.stage_number) ?? null,
+      start: Boolean(step.isstart),
+      end: Boolean(step.isend || step.islaststep),
+      nextWorkflow: hasStepRef(step.new_flow_id) ? workflowNames.get(step.new_flow_id) ?? `workflow ${step.new_flow_id}` : null,
+      message: [step.message, step.message2, step.message3].filter(Boolean).join('\n\n') || null,
+      actions
+    };
+  });
+
+  const stepActions = procedureSteps.flatMap(step => step.actions.map(action => ({ step: step.name, ...action })));
+
+  return {
+    title: `${workflow.name ?? 'Workflow'} - Standard Operating Procedure`,
+    workflow: { id: workflow.id ?? null, name: workflow.name ?? null, active: workflow.active !== false },
+    purpose,
+    ticketTypes: typeNames,
+    stages: stages.map(stage => ({
+      name: stage.name,
+      steps: procedureSteps.filter(step => step.stage === stage.name).map(step => step.name),
+      outcome: hasStepRef(stage.outcome_step) ? names.get(stage.outcome_step) ?? null : null
+    })),
+    steps: procedureSteps,
+    approvals: stepActions.filter(action => action.approval),
+    timeLimits: stepActions.filter(action => action.timeLimit),
+    alwaysAllowed: (workflow.always_allow_actions || []).map(action => action.outcome ?? action.buttonname).filter(Boolean),
+    diagram: renderMermaid(workflow)
+  };
+}
+
+/**
+ * Summarize the role of a step in one line
+ * @param {Object} step - Procedure step
+ * @returns {string} Sentences about the step (empty when there is nothing to say)
+ */
+function stepFacts(step) {
+  return [
+    step.start ? 'New tickets start here.' : null,
+    step.end ? 'This step ends the workflow.' : null,
+    step.stage ? `Stage: ${step.stage}.` : null,
+    step.nextWorkflow ? `Tickets continue in the "${step.nextWorkflow}" workflow.` : null
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Describe where an action leads
+ * @param {Object} action - Procedure action
+ * @returns {string} Text
+ */
+function destination(action) {
+  return action.to ?? 'stays on this step';
+}
+
+/**
+ * Lay out an action as a row of the step's action table
+ * @param {Object} action - Procedure action
+ * @returns {Object} Row keyed by ACTION_COLUMNS
+ */
+function actionRow(action) {
+  return {
+    action: action.restricted ? `${action.action} (restricted)` : action.action,
+    to: destination(action),
+    approval: action.approval,
+    timeLimit: action.timeLimit,
+    escalation: action.escalation
+  };
+}
+
+/**
+ * Render a procedure as Markdown
+ * @param {Object} procedure - Procedure from buildProcedure
+ * @returns {string} Markdown document
+ */
+export function renderProcedureMarkdown(procedure) {
+  const lines = [`# ${procedure.title}`, '', '## Purpose', '', procedure.purpose, ''];
+
+  if (procedure.ticketTypes.length > 0) {
+    lines.push(`**Applies to:** ${procedure.ticketTypes.join(', ')}`, '');
+  }
+
+  if (procedure.stages.length > 0) {
+    lines.push('## Stages', '');
+    procedure.stages.forEach((stage, index) => {
+      const outcome = stage.outcome ? ` Complete when the ticket reaches **${stage.outcome}**.` : '';
+      lines.push(`${index + 1}. **${stage.name}**: ${stage.steps.join(', ') || 'no steps'}.${outcome}`);
+    });
+    lines.push('');
+  }
+
+  lines.push('## Workflow Diagram', '', '```mermaid', procedure.diagram.trimEnd(), '```', '', '## Procedure', '');
+  procedure.steps.forEach((step, index) => {
+    lines.push(`### ${index + 1}. ${step.name}`, '');
+    const facts = stepFacts(step);
+    if (facts) lines.push(facts, '');
+    if (step.message) lines.push(...step.message.split('\n').map(line => `> ${line}`), '');
+
+    if (step.actions.length > 0) {
+      lines.push(formatTable(ACTION_COLUMNS, step.actions.map(actionRow)));
+    } else if (!step.end && !step.nextWorkflow) {
+      lines.push('No actions are available on this step.', '');
+    }
+  });
+
+  if (procedure.approvals.length > 0) {
+    lines.push('## Approvals', '');
+    for (const approval of procedure.approvals) {
+      lines.push(`- **${approval.step}**: "${approval.action}" records the request as ${approval.approval} and leads to ${destination(approval)}.`);
+    }
+    lines.push('');
+  }
+
+  if (procedure.timeLimits.length > 0) {
+    lines.push('## Time Limits and Escalations', '');
+    for (const limit of procedure.timeLimits) {
+      const expiry = limit.escalation ? `"${limit.escalation}" is applied automatically` : 'no action is applied';
+      lines.push(`- **${limit.step}**: "${limit.action}" must happen within ${limit.timeLimit}; otherwise ${expiry}.`);
+    }
+    lines.push('');
+  }
+
+  if (procedure.alwaysAllowed.length > 0) {
+    lines.push('## Actions Allowed on Every Step', '', ...procedure.alwaysAllowed.map(action => `- ${action}`), '');
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a procedure as a standalone HTML document
+ * The diagram is embedded as a Mermaid block (<pre class="mermaid">), which knowledge
+ * bases with Mermaid support render as a chart.
+ * @param {Object} procedure - Procedure from buildProcedure
+ * @returns {string} HTML document
+ */
+export function renderProcedureHtml(procedure) {
+  const e = escapeHtml;
+  const parts = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    `<head><meta charset="utf-8"><title>${e(procedure.title)}</title></head>`,
+    '<body>',
+    `<h1>${e(procedure.title)}</h1>`,
+    '<h2>Purpose</h2>',
+    `<p>${e(procedure.purpose)}</p>`
+  ];
+
+  if (procedure.ticketTypes.length > 0) {
+    parts.push(`<p><strong>Applies to:</strong> ${e(procedure.ticketTypes.join(', '))}</p>`);
+  }
+
+  if (procedure.stages.length > 0) {
+    parts.push('<h2>Stages</h2>', '<ol>');
+    for (const stage of procedure.stages) {
+      const outcome = stage.outcome ? ` Complete when the ticket reaches <strong>${e(stage.outcome)}</strong>.` : '';
+      parts.push(`<li><strong>${e(stage.name)}</strong>: ${e(stage.steps.join(', ') || 'no steps')}.${outcome}</li>`);
+    }
+    parts.push('</ol>');
+  }
+
+  parts.push('<h2>Workflow Diagram</h2>', `<pre class="mermaid">${e(procedure.diagram.trimEnd())}</pre>`, '<h2>Procedure</h2>');
+  procedure.steps.forEach((step, index) => {
+    parts.push(`<h3>${index + 1}. ${e(step.name)}</h3>`);
+    const facts = stepFacts(step);
+    if (facts) parts.push(`<p>${e(facts)}</p>`);
+    if (step.message) parts.push(`<blockquote>${e(step.message).replace(/\n/g, '<br>')}</blockquote>`);
+
+    if (step.actions.length > 0) {
+      parts.push('<table>', `<tr>${ACTION_COLUMNS.map(column => `<th>${e(column.label)}</th>`).join('')}</tr>`);
+      for (const row of step.actions.map(actionRow)) {
+        parts.push(`<tr>${ACTION_COLUMNS.map(column => `<td>${e(row[column.key])}</td>`).join('')}</tr>`);
+      }
+      parts.push('</table>');
+    } else if (!step.end && !step.nextWorkflow) {
+      parts.push('<p>No actions are available on this step.</p>');
+    }
+  });
+
+  if (procedure.approvals.length > 0) {
+    parts.push('<h2>Approvals</h2>', '<ul>');
+    for (const approval of procedure.approvals) {
+      parts.push(`<li><strong>${e(approval.step)}</strong>: "${e(approval.action)}" records the request as ${e(approval.approval)} and leads to ${e(destination(approval))}.</li>`);
+    }
+    parts.push('</ul>');
+  }
+
+  if (procedure.timeLimits.length > 0) {
+    parts.push('<h2>Time Limits and Escalations</h2>', '<ul>');
+    for (const limit of procedure.timeLimits) {
+      const expiry = limit.escalation ? `"${e(limit.escalation)}" is applied automatically` : 'no action is applied';
+      parts.push(`<li><strong>${e(limit.step)}</strong>: "${e(limit.action)}" must happen within ${e(limit.timeLimit)}; otherwise ${expiry}.</li>`);
+    }
+    parts.push('</ul>');
+  }
+
+  if (procedure.alwaysAllowed.length > 0) {
+    parts.push('<h2>Actions Allowed on Every Step</h2>', '<ul>', ...procedure.alwaysAllowed.map(action => `<li>${e(action)}</li>`), '</ul>');
+  }
+
+  parts.push('</body>', '</html>');
+  return `${parts.join('\n')}\n`;
+}
@@ -0,0 +1,377 @@
+/**
+ * Workflow DSL
+ * Compiles a compact YAML workflow definition into a HaloPSA FlowHeader payload and back
+ *
+ * Steps are referred to by name; step IDs, stage numbers and time-limit actions are
+ * filled in by the compiler. Fields without a DSL key can be given under `extra`,
+ * which is copied onto the record as-is.
+ */
+import YAML from 'yaml';
+import { stripServerIds } from './portable.js';
+
+// Values of FlowSubDetail.approval_result
+export const APPROVAL_RESULTS = {
+  approved: 1,
+  rejected: 2
+};
+
+const WORKFLOW_KEYS = ['name', 'active', 'stages', 'steps', 'targets', 'extra'];
+const STAGE_KEYS = ['name', 'outcome', 'extra'];
+const STEP_KEYS = ['name', 'start', 'end', 'stage', 'nextWorkflow', 'message', 'transitions', 'extra'];
+const TRANSITION_KEYS = ['action', 'actionId', 'to', 'timeLimit', 'workHours', 'onTimeout', 'approval', 'extra'];
+const TARGET_KEYS = ['name', 'startSteps', 'endSteps', 'extra'];
+
+// FlowHeader fields the DSL covers (or that only describe the diagram layout)
+const MAPPED_FIELDS = {
+  header: ['name', 'active', 'stages', 'steps', 'targets', 'flow_chart_json'],
+  stage: ['name', 'sequence', 'outcome_step'],
+  step: ['step_id', 'name', 'isstart', 'isend', 'stage_number', 'new_flow_id', 'message', 'actions', 'old_diagram_x', 'old_diagram_y'],
+  transition: [
+    'start_step', 'end_step', 'action_id', 'action_name', 'time_limit_mins', 'use_work_hours',
+    'time_limit_action_id', 'time_limit_action_name', 'approval_result', 'old_diagram_startpos', 'old_diagram_endpos'
+  ],
+  target: ['name', 'start_steps', 'end_steps']
+};
+
+/**
+ * Check that a DSL object only uses known keys
+ * @param {Object} value - DSL object
+ * @param {Array<string>} allowed - Allowed keys
+ * @param {string} label - Where the object is, for messages
+ * @param {Array<string>} errors - Errors to add to
+ * @returns {boolean} True if the value is an object
+ */
+function checkKeys(value, allowed, label, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${label} must be a mapping`);
+    return false;
+  }
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) {
+      errors.push(`${label} has unknown key "${key}" (allowed: ${allowed.join(', ')})`);
+    }
+  }
+  return true;
+}
+
+/**
+ * Read an optional list from a DSL object
+ * @param {Object} value - DSL object
+ * @param {string} key - List key
+ * @param {string} label - Where the object is, for messages
+ * @param {Array<string>} errors - Errors to add to
+ * @returns {Array} The list, or an empty list
+ */
+function listOf(value, key, label, errors) {
+  if (value[key] === undefined || value[key] === null) {
+    return [];
+  }
+  if (!Array.isArray(value[key])) {
+    errors.push(`${label}.${key} must be a list`);
+    return [];
+  }
+  return value[key];
+}
+
+/**
+ * Compile a DSL definition into a FlowHeader payload for createWorkflows
+ * @param {Object} definition - Parsed DSL definition
+ * @returns {Object} FlowHeader payload, errors and warnings
+ */
+export function compileWorkflow(definition) {
+  const errors = [];
+  const warnings = [];
+  if (!checkKeys(definition, WORKFLOW_KEYS, 'workflow', errors)) {
+    return { workflow: null, errors, warnings };
+  }
+  if (typeof definition.name !== 'string' || definition.name.trim() === '') {
+    errors.push('workflow.name is required');
+  }
+
+  const stepDefs = listOf(definition, 'steps', 'workflow', errors);
+  const stageDefs = listOf(definition, 'stages', 'workflow', errors);
+  const targetDefs = listOf(definition, 'targets', 'workflow', errors);
+
+  // Step IDs are numbered in the order steps are listed
+  const stepIds = new Map();
+  stepDefs.forEach((step, index) => {
+    const name = step?.name;
+    if (typeof name !== 'string' || name.trim() === '') {
+      errors.push(`steps[${index}].name is required`);
+    } else if (stepIds.has(name)) {
+      errors.push(`steps[${index}]: step name "${name}" is used more than once`);
+    } else {
+      stepIds.set(name, index + 1);
+    }
+  });
+  const stepRef = (name, label) => {
+    if (!stepIds.has(name)) {
+      errors.push(`${label} refers to unknown step "${name}"`);
+      return null;
+    }
+    return stepIds.get(name);
+  };
+
+  const stageNumbers = new Map();
+  const stages = stageDefs.map((stage, index) => {
+    const label = `stages[${index}]`;
+    if (!checkKeys(stage, STAGE_KEYS, label, errors)) return null;
+    if (typeof stage.name !== 'string' || stage.name.trim() === '') {
+      errors.push(`${label}.name is required`);
+    }
+    stageNumbers.set(stage.name, index + 1);
+    return {
+      ...stage.extra,
+      sequence: index + 1,
+      name: stage.name,
+      outcome_step: stage.outcome === undefined ? null : stepRef(stage.outcome, `${label}.outcome`)
+    };
+  }).filter(Boolean);
+
+  const steps = stepDefs.map((step, index) => {
+    const label = `steps[${index}] (${step?.name ?? 'unnamed'})`;
+    if (!checkKeys(step, STEP_KEYS, label, errors)) return null;
+    const stepId = index + 1;
+
+    if (step.stage !== undefined && !stageNumbers.has(step.stage)) {
+      errors.push(`${label}.stage refers to unknown stage "${step.stage}"`);
+    }
+
+    const transitionDefs = listOf(step, 'transitions', label, errors);
+    const actions = transitionDefs.map((transition, transitionIndex) => {
+      const transitionLabel = `${label}.transitions[${transitionIndex}]`;
+      if (!checkKeys(transition, TRANSITION_KEYS, transitionLabel, errors)) return null;
+      if (typeof transition.action !== 'string' || transition.action.trim() === '') {
+        errors.push(`${transitionLabel}.action is required`);
+      }
+      if (transition.actionId === undefined) {
+        warnings.push(`${transitionLabel}: action "${transition.action}" has no actionId - set it before creating the workflow`);
+      }
+
+      const action = {
+        ...transition.extra,
+        start_step: stepId,
+        end_step: transition.to === undefined ? null : stepRef(transition.to, `${transitionLabel}.to`),
+        action_id: transition.actionId ?? null,
+        action_name: transition.action
+      };
+
+      if (transition.timeLimit !== undefined) {
+        if (!(typeof transition.timeLimit === 'number' && transition.timeLimit > 0)) {
+          errors.push(`${transitionLabel}.timeLimit must be a positive number of minutes`);
+        }
+        action.time_limit_mins = transition.timeLimit;
+        action.use_work_hours = Boolean(transition.workHours);
+      } else if (transition.workHours !== undefined || transition.onTimeout !== undefined) {
+        errors.push(`${transitionLabel}: workHours and onTimeout need a timeLimit`);
+      }
+
+      if (transition.onTimeout !== undefined) {
+        const fired = transitionDefs.find(other => other?.action === transition.onTimeout);
+        if (!fired) {
+          errors.push(`${transitionLabel}.onTimeout "${transition.onTimeout}" is not a transition of this step`);
+        }
+        action.time_limit_action_id = fired?.actionId ?? null;
+        action.time_limit_action_name = transition.onTimeout;
+      }
+
+      if (transition.approval !== undefined) {
+        if (typeof transition.approval === 'number') {
+          action.approval_result = transition.approval;
+        } else if (transition.approval in APPROVAL_RESULTS) {
+          action.approval_result = APPROVAL_RESULTS[transition.approval];
+        } else {
+          errors.push(`${transitionLabel}.approval must be one of ${Object.keys(APPROVAL_RESULTS).join(', ')} or a number`);
+        }
+      }
+
+      return action;
+    }).filter(Boolean);
+
+    const compiled = {
+      ...step.extra,
+      step_id: stepId,
+      name: step.name,
+      isstart: Boolean(step.start),
+      isend: Boolean(step.end),
+      actions
+    };
+    if (step.stage !== undefined) compiled.stage_number = stageNumbers.get(step.stage) ?? null;
+    if (step.nextWorkflow !== undefined) compiled.new_flow_id = step.nextWorkflow;
+    if (step.message !== undefined) compiled.message = step.message;
+    return compiled;
+  }).filter(Boolean);
+
+  const targets = targetDefs.map((target, index) => {
+    const label = `targets[${index}]`;
+    if (!checkKeys(target, TARGET_KEYS, label, errors)) return null;
+    const compiled = { ...target.extra, name: target.name };
+    for (const [key, field] of [['startSteps', 'start_steps'], ['endSteps', 'end_steps']]) {
+      const names = listOf(target, key, label, errors);
+      if (names.length > 0) {
+        compiled[field] = names.map(name => ({ step_id: stepRef(name, `${label}.${key}`) }));
+      }
+    }
+    return compiled;
+  }).filter(Boolean);
+
+  const workflow = {
+    ...definition.extra,
+    name: definition.name,
+    active: definition.active ?? true,
+    steps,
+    stages,
+    targets
+  };
+
+  return { workflow: errors.length === 0 ? workflow : null, errors, warnings };
+}
+
+/**
+ * Parse and compile DSL source text
+ * @param {string} source - YAML source
+ * @returns {Object} FlowHeader payload, errors and warnings
+ */
+export function compileWorkflowDsl(source) {
+  let definition;
+  try {
+    definition = YAML.parse(source);
+  } catch (error) {
+    return { workflow: null, errors: [`Invalid YAML: ${error.message}`], warnings: [] };
+  }
+  return compileWorkflow(definition);
+}
+
+/**
+ * Collect the fields of a record that the DSL has no key for
+ * Empty values are left out to keep the definition short.
+ * @param {Object} record - HaloPSA record
+ * @param {Array<string>} mapped - Fields covered by DSL keys
+ * @returns {Object|undefined} Remaining fields, or undefined if there are none
+ */
+function extraFields(record, mapped) {
+  const extra = {};
+  for (const [field, value] of Object.entries(record)) {
+    if (mapped.includes(field) || value === null || value === undefined || value === '' || value === false) continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    extra[field] = value;
+  }
+  return Object.keys(extra).length > 0 ? extra : undefined;
+}
+
+/**
+ * Decompile a FlowHeader into a DSL definition
+ * @param {Object} workflow - FlowHeader fetched with includedetails=true
+ * @returns {Object} DSL definition and warnings about anything that did not map cleanly
+ */
+export function decompileWorkflow(workflow) {
+  const source = stripServerIds(workflow);
+  const warnings = [];
+
+  // Step names must be unique in the DSL, so duplicates get their step ID appended
+  const seen = new Map();
+  for (const step of source.steps || []) {
+    seen.set(step.name, (seen.get(step.name) || 0) + 1);
+  }
+  const stepNames = new Map();
+  for (const step of source.steps || []) {
+    let name = step.name ?? `Step ${step.step_id}`;
+    if (seen.get(step.name) > 1) {
+      name = `${name} #${step.step_id}`;
+      warnings.push(`Step name "${step.name}" is used more than once - renamed to "${name}"`);
+    }
+    stepNames.set(step.step_id, name);
+  }
+  const nameOf = (stepId, label) => {
+    if (!stepNames.has(stepId)) {
+      warnings.push(`${label} refers to missing step ${stepId}`);
+      return `#${stepId}`;
+    }
+    return stepNames.get(stepId);
+  };
+
+  const stages = [...(source.stages || [])].sort((a, b) => (a.sequence ?? 0) - (b.sequence ?? 0));
+  const stageNames = new Map(stages.map(stage => [stage.sequence, stage.name]));
+  const approvalNames = new Map(Object.entries(APPROVAL_RESULTS).map(([name, value]) => [value, name]));
+
+  const definition = { name: source.name };
+  if (source.active === false) definition.active = false;
+
+  if (stages.length > 0) {
+    definition.stages = stages.map(stage => {
+      const dsl = { name: stage.name };
+      if (stage.outcome_step) dsl.outcome = nameOf(stage.outcome_step, `Stage "${stage.name}"`);
+      const extra = extraFields(stage, MAPPED_FIELDS.stage);
+      if (extra) dsl.extra = extra;
+      return dsl;
+    });
+  }
+
+  definition.steps = (source.steps || []).map(step => {
+    const name = stepNames.get(step.step_id);
+    const dsl = { name };
+    if (step.isstart) dsl.start = true;
+    if (step.isend) dsl.end = true;
+    if (step.stage_number !== undefined && step.stage_number !== null && stageNames.has(step.stage_number)) {
+      dsl.stage = stageNames.get(step.stage_number);
+    }
+    if (step.new_flow_id) dsl.nextWorkflow = step.new_flow_id;
+    if (step.message) dsl.message = step.message;
+
+    const transitions = (step.actions || []).map(action => {
+      if (action.start_step !== undefined && action.start_step !== null && action.start_step !== step.step_id) {
+        warnings.push(`Transition "${action.action_name}" is listed under step "${name}" but starts at step ${action.start_step}`);
+      }
+      const transition = { action: action.action_name ?? `Action ${action.action_id}` };
+      if (action.action_id !== undefined && action.action_id !== null) transition.actionId = action.action_id;
+      if (action.end_step) transition.to = nameOf(action.end_step, `Transition "${transition.action}" on step "${name}"`);
+      if (action.time_limit_mins > 0) {
+        transition.timeLimit = action.time_limit_mins;
+        if (action.use_work_hours) transition.workHours = true;
+        const fired = (step.actions || []).find(other => other.action_id === action.time_limit_action_id);
+        const onTimeout = fired?.action_name ?? action.time_limit_action_name;
+        if (onTimeout) transition.onTimeout = onTimeout;
+      }
+      if (action.approval_result !== undefined && action.approval_result !== null && action.approval_result !== 0) {
+        transition.approval = approvalNames.get(action.approval_result) ?? action.approval_result;
+      }
+      const extra = extraFields(action, MAPPED_FIELDS.transition);
+      if (extra) transition.extra = extra;
+      return transition;
+    });
+    if (transitions.length > 0) dsl.transitions = transitions;
+
+    const extra = extraFields(step, MAPPED_FIELDS.step);
+    if (extra) dsl.extra = extra;
+    return dsl;
+  });
+
+  if ((source.targets || []).length > 0) {
+    definition.targets = source.targets.map(target => {
+      const dsl = { name: target.name };
+      for (const [field, key] of [['start_steps', 'startSteps'], ['end_steps', 'endSteps']]) {
+        if ((target[field] || []).length > 0) {
+          dsl[key] = target[field].map(step => nameOf(step.step_id, `Target "${target.name}"`));
+        }
+      }
+      const extra = extraFields(target, MAPPED_FIELDS.target);
+      if (extra) dsl.extra = extra;
+      return dsl;
+    });
+  }
+
+  const extra = extraFields(source, MAPPED_FIELDS.header);
+  if (extra) definition.extra = extra;
+
+  return { definition, warnings };
+}
+
+/**
+ * Decompile a FlowHeader into DSL source text
+ * @param {Object} workflow - FlowHeader fetched with includedetails=true
+ * @returns {Object} YAML source and warnings
+ */
+export function decompileWorkflowDsl(workflow) {
+  const { definition, warnings } = decompileWorkflow(workflow);
+  return { source: YAML.stringify(definition), warnings };
+}
@@ -0,0 +1,162 @@
+/**
+ * Workflow Editor
+ * Surgical edits to the steps of a single workflow
+ *
+ * Every edit works on a copy of the FlowHeader and returns the edited copy, so the
+ * caller can validate and preview it before saving the whole workflow back.
+ */
+import { hasStepRef } from './graph.js';
+
+/**
+ * Find a step by step ID or name
+ * @param {Object} workflow - FlowHeader with steps
+ * @param {number|string} ref - step_id, or the step name
+ * @returns {Object} The step
+ */
+export function findStep(workflow, ref) {
+  const steps = workflow.steps || [];
+  const step = typeof ref === 'number'
+    ? steps.find(s => s.step_id === ref)
+    : steps.find(s => s.name === ref) ?? steps.find(s => String(s.name).toLowerCase() === String(ref).toLowerCase());
+  if (!step) {
+    throw new Error(`Workflow has no step ${typeof ref === 'number' ? ref : `"${ref}"`}`);
+  }
+  return step;
+}
+
+/**
+ * Describe the steps of a workflow with their outgoing transitions
+ * @param {Object} workflow - FlowHeader with steps
+ * @returns {Array<Object>} Step summaries
+ */
+export function describeSteps(workflow) {
+  const names = new Map((workflow.steps || []).map(step => [step.step_id, step.name]));
+  return (workflow.steps || []).map(step => ({
+    step_id: step.step_id,
+    name: step.name ?? null,
+    isstart: Boolean(step.isstart),
+    isend: Boolean(step.isend),
+    stage_number: step.stage_number ?? null,
+    new_flow_id: step.new_flow_id ?? null,
+    transitions: (step.actions || []).map(action => ({
+      action_id: action.action_id ?? null,
+      action_name: action.action_name ?? null,
+      end_step: hasStepRef(action.end_step) ? action.end_step : null,
+      end_step_name: hasStepRef(action.end_step) ? names.get(action.end_step) ?? null : null,
+      time_limit_mins: action.time_limit_mins ?? null
+    }))
+  }));
+}
+
+/**
+ * Add a step to a workflow
+ * @param {Object} workflow - FlowHeader with steps
+ * @param {Object} step - FlowDetail to add (step_id is assigned if missing)
+ * @returns {Object} Edited workflow and the added step
+ */
+export function addStep(workflow, step) {
+  const copy = structuredClone(workflow);
+  copy.steps = copy.steps || [];
+
+  if (!step?.name || typeof step.name !== 'string') {
+    throw new Error('The new step needs a name');
+  }
+  if (copy.steps.some(existing => existing.name === step.name)) {
+    throw new Error(`Workflow already has a step named "${step.name}"`);
+  }
+
+  const stepId = step.step_id ?? Math.max(0, ...copy.steps.map(existing => existing.step_id || 0)) + 1;
+  if (copy.steps.some(existing => existing.step_id === stepId)) {
+    throw new Error(`Workflow already has a step with step_id ${stepId}`);
+  }
+
+  const added = {
+    ...structuredClone(step),
+    step_id: stepId,
+    actions: (step.actions || []).map(action => ({ ...action, start_step: stepId }))
+  };
+  copy.steps.push(added);
+  return { workflow: copy, step: added };
+}
+
+/**
+ * Update fields of a step
+ * step_id cannot be changed here since transitions, stages and targets refer to it.
+ * @param {Object} workflow - FlowHeader with steps
+ * @param {number|string} ref - step_id or name of the step
+ * @param {Object} changes - FlowDetail fields to set (actions replaces the step's transitions)
+ * @returns {Object} Edited workflow and the updated step
+ */
+export function updateStep(workflow, ref, changes) {
+  const copy = structuredClone(workflow);
+  const step = findStep(copy, ref);
+
+  if (changes.step_id !== undefined && changes.step_id !== step.step_id) {
+    throw new Error('step_id cannot be changed - remove the step and add it again instead');
+  }
+  if (changes.name !== undefined && changes.name !== step.name && copy.steps.some(other => other.name === changes.name)) {
+    throw new Error(`Workflow already has a step named "${changes.name}"`);
+  }
+
+  Object.assign(step, structuredClone(changes), { step_id: step.step_id });
+  if (changes.actions) {
+    step.actions = step.actions.map(action => ({ ...action, start_step: step.step_id }));
+  }
+  return { workflow: copy, step };
+}
+
+/**
+ * Remove a step and everything that refers to it
+ * Transitions from other steps into the removed step, stage outcomes and target steps
+ * are either pointed at another step or removed.
+ * @param {Object} workflow - FlowHeader with steps
+ * @param {number|string} ref - step_id or name of the step
+ * @param {number|string} [redirectTo] - Step that references should point at instead
+ * @returns {Object} Edited workflow, the removed step and what was rewired
+ */
+export function removeStep(workflow, ref, redirectTo) {
+  const copy = structuredClone(workflow);
+  const step = findStep(copy, ref);
+  const stepId = step.step_id;
+  const replacement = redirectTo === undefined ? null : findStep(copy, redirectTo).step_id;
+  if (replacement === stepId) {
+    throw new Error('A step cannot be redirected to itself');
+  }
+
+  const rewired = [];
+  copy.steps = copy.steps.filter(other => other !== step);
+
+  for (const other of copy.steps) {
+    const kept = [];
+    for (const action of other.actions || []) {
+      if (action.end_step !== stepId) {
+        kept.push(action);
+      } else if (replacement !== null) {
+        kept.push({ ...action, end_step: replacement });
+        rewired.push(`Transition "${action.action_name}" from "${other.name}" now leads to step ${replacement}`);
+      } else {
+        rewired.push(`Transition "${action.action_name}" from "${other.name}" removed`);
+      }
+    }
+    if (other.actions) other.actions = kept;
+  }
+
+  for (const stage of copy.stages || []) {
+    if (stage.outcome_step === stepId) {
+      stage.outcome_step = replacement;
+      rewired.push(`Stage "${stage.name}" outcome ${replacement !== null ? `now step ${replacement}` : 'cleared'}`);
+    }
+  }
+
+  for (const target of copy.targets || []) {
+    for (const field of ['start_steps', 'end_steps']) {
+      if (!Array.isArray(target[field]) || !target[field].some(targetStep => targetStep.step_id === stepId)) continue;
+      target[field] = replacement !== null
+        ? target[field].map(targetStep => (targetStep.step_id === stepId ? { ...targetStep, step_id: replacement } : targetStep))
+        : target[field].filter(targetStep => targetStep.step_id !== stepId);
+      rewired.push(`Target "${target.name}" ${field} ${replacement !== null ? `now uses step ${replacement}` : 'no longer includes the step'}`);
+    }
+  }
+
+  return { workflow: copy, step, rewired };
+}
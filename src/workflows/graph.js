@@ -0,0 +1,105 @@
+/**
+ * Workflow Graph
+ * Builds a step/transition graph from a FlowHeader's FlowDetail and FlowSubDetail records
+ */
+
+/**
+ * Check whether a step reference is set
+ * @param {*} value - start_step, end_step or outcome_step value
+ * @returns {boolean} True if the value refers to a step
+ */
+export function hasStepRef(value) {
+  return value !== undefined && value !== null && value !== 0;
+}
+
+/**
+ * Find the transition whose action a time limit fires
+ * time_limit_action_id is the action of a sibling transition on the same step;
+ * records without the ID are matched on time_limit_action_name instead.
+ * @param {Object} step - FlowDetail the time-limited transition belongs to
+ * @param {Object} transition - Time-limited FlowSubDetail
+ * @returns {Object|undefined} Sibling FlowSubDetail
+ */
+export function findTimeLimitTransition(step, transition) {
+  return (step.actions || []).find(other => (hasStepRef(transition.time_limit_action_id)
+    ? other.action_id === transition.time_limit_action_id
+    : Boolean(transition.time_limit_action_name) && other.action_name === transition.time_limit_action_name));
+}
+
+/**
+ * Build the graph of a workflow
+ * Each FlowSubDetail becomes an edge from its start step (defaulting to the step it
+ * belongs to) to its end step. Edges without an end step keep the ticket where it is.
+ * Each edge also keeps the step the transition belongs to.
+ * @param {Object} workflow - FlowHeader with steps
+ * @returns {Object} Steps by ID, edges, outgoing edges per step and start steps
+ */
+export function buildGraph(workflow = {}) {
+  const steps = new Map();
+  for (const step of workflow.steps || []) {
+    steps.set(step.step_id, step);
+  }
+
+  const edges = [];
+  const outgoing = new Map([...steps.keys()].map(id => [id, []]));
+  for (const step of workflow.steps || []) {
+    for (const transition of step.actions || []) {
+      const from = hasStepRef(transition.start_step) ? transition.start_step : step.step_id;
+      const edge = {
+        from,
+        to: hasStepRef(transition.end_step) ? transition.end_step : null,
+        step,
+        transition
+      };
+      edges.push(edge);
+      if (!outgoing.has(from)) {
+        outgoing.set(from, []);
+      }
+      outgoing.get(from).push(edge);
+    }
+  }
+
+  const startSteps = (workflow.steps || []).filter(step => step.isstart);
+
+  return { steps, edges, outgoing, startSteps };
+}
+
+/**
+ * Find the steps reachable from a set of start steps
+ * @param {Object} graph - Graph from buildGraph
+ * @param {Array<number>} startIds - Step IDs to start from
+ * @returns {Set<number>} Reachable step IDs (including the start steps)
+ */
+export function findReachable(graph, startIds) {
+  const reached = new Set();
+  const queue = startIds.filter(id => graph.steps.has(id));
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (reached.has(id)) continue;
+    reached.add(id);
+    for (const edge of graph.outgoing.get(id) || []) {
+      if (edge.to !== null && graph.steps.has(edge.to) && !reached.has(edge.to)) {
+        queue.push(edge.to);
+      }
+    }
+  }
+  return reached;
+}
+
+/**
+ * Check whether a step finishes the workflow
+ * @param {Object} step - FlowDetail
+ * @returns {boolean} True for end steps and steps that hand over to another workflow
+ */
+export function isTerminalStep(step) {
+  return Boolean(step.isend || step.islaststep || step.new_flow_id);
+}
+
+/**
+ * Label a step for messages
+ * @param {Object} step - FlowDetail
+ * @returns {string} Step name and ID
+ */
+export function stepLabel(step) {
+  return `"${step.name ?? 'unnamed'}" (step ${step.step_id})`;
+}
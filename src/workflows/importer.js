@@ -0,0 +1,418 @@
+/**
+ * Workflow Bundle Import
+ * Plans and applies the import of a workflow bundle into a tenant
+ */
+import { hasStepRef } from './graph.js';
+import { findPayloadErrors } from './preview.js';
+import { resolveAction } from './transitions.js';
+
+export const IMPORT_STRATEGIES = ['skip', 'rename', 'overwrite'];
+
+/**
+ * Normalize a workflow name for collision checks
+ * @param {string} name - Workflow name
+ * @returns {string} Lower-cased, trimmed name
+ */
+function normalizeName(name) {
+  return String(name ?? '').trim().toLowerCase();
+}
+
+/**
+ * Check and resolve the references between a workflow's steps and transitions
+ * Transitions without a start step are attached to the step they belong to, and
+ * time-limit actions are matched to a sibling transition by name when their ID
+ * does not match one.
+ * @param {Object} definition - Workflow definition from a bundle
+ * @returns {Object} Resolved definition with errors and warnings
+ */
+export function resolveStepReferences(definition) {
+  const copy = structuredClone(definition);
+  const errors = [];
+  const warnings = [];
+  const stepIds = new Set((copy.steps || []).map(step => step.step_id));
+
+  for (const step of copy.steps || []) {
+    const actions = step.actions || [];
+    const label = `Step ${step.step_id} (${step.name ?? 'unnamed'})`;
+
+    for (const action of actions) {
+      const actionLabel = action.action_name ?? action.action_id;
+
+      if (action.start_step === undefined || action.start_step === null) {
+        action.start_step = step.step_id;
+      } else if (!stepIds.has(action.start_step)) {
+        errors.push(`${label}: transition "${actionLabel}" starts at missing step ${action.start_step}`);
+      }
+
+      if (action.end_step !== undefined && action.end_step !== null && !stepIds.has(action.end_step)) {
+        errors.push(`${label}: transition "${actionLabel}" ends at missing step ${action.end_step}`);
+      }
+
+      if (action.time_limit_action_id && !actions.some(a => a.action_id === action.time_limit_action_id)) {
+        const byName = actions.find(a => a.action_name && a.action_name === action.time_limit_action_name);
+        if (byName) {
+          action.time_limit_action_id = byName.action_id;
+        } else {
+          warnings.push(`${label}: time-limit action ${action.time_limit_action_name ?? action.time_limit_action_id} on "${actionLabel}" is not a transition of this step`);
+        }
+      }
+    }
+  }
+
+  for (const stage of copy.stages || []) {
+    if (stage.outcome_step !== undefined && stage.outcome_step !== null && !stepIds.has(stage.outcome_step)) {
+      errors.push(`Stage ${stage.sequence ?? ''} (${stage.name ?? 'unnamed'}): outcome step ${stage.outcome_step} does not exist`);
+    }
+  }
+
+  return { definition: copy, errors, warnings };
+}
+
+/**
+ * Point a workflow's links to workflows outside the bundle at the target tenant
+ * The linked IDs belong to the source tenant, so each link is set from the caller's
+ * workflow map (source workflow ID to target workflow ID) or cleared when the map
+ * has no entry for it.
+ * @param {Object} definition - Workflow definition (changed in place)
+ * @param {Array<Object>} externalReferences - Manifest external references of the workflow
+ * @param {Object} workflowMap - Target workflow IDs by source workflow ID
+ * @param {Set<number>} existingIds - IDs of the workflows in the target tenant
+ * @returns {Object} Links that were mapped or cleared, and errors for bad mappings
+ */
+export function remapExternalReferences(definition, externalReferences, workflowMap, existingIds) {
+  const links = [];
+  const errors = [];
+
+  for (const ref of externalReferences) {
+    const step = (definition.steps || []).find(s => s.step_id === ref.step_id);
+    if (!step) continue;
+    const link = { step_id: ref.step_id, step: step.name ?? null, field: ref.field, sourceId: ref.targetId };
+    const mapped = workflowMap[ref.targetId];
+
+    if (mapped === undefined || mapped === null) {
+      step[ref.field] = null;
+      links.push({ ...link, targetId: null, status: 'cleared' });
+    } else if (!existingIds.has(Number(mapped))) {
+      errors.push(`Step ${ref.step_id} (${step.name ?? 'unnamed'}): ${ref.field} maps workflow ${ref.targetId} to ${mapped}, which does not exist in the target tenant`);
+    } else {
+      step[ref.field] = Number(mapped);
+      links.push({ ...link, targetId: Number(mapped), status: 'mapped' });
+    }
+  }
+
+  return { links, errors };
+}
+
+/**
+ * Match a workflow's actions to the target tenant's actions by name
+ * Action IDs in a bundle are the source tenant's. Each transition's action is
+ * looked up by action_name; a time-limit action is taken from the sibling
+ * transition it points at, or looked up by time_limit_action_name.
+ * @param {Object} definition - Workflow definition (changed in place)
+ * @param {Array<Object>} actions - Action definitions (TOutcome) of the target tenant
+ * @returns {Object} Action IDs that changed, and errors for actions that cannot be matched
+ */
+export function remapActions(definition, actions) {
+  const remapped = [];
+  const errors = [];
+
+  for (const step of definition.steps || []) {
+    const label = `Step ${step.step_id} (${step.name ?? 'unnamed'})`;
+    const transitions = step.actions || [];
+
+    // Resolve every transition first so time limits can use the source IDs of their siblings
+    const resolved = transitions.map(action => {
+      if (!action.action_name) {
+        errors.push(`${label}: transition ${action.action_id ?? ''} has no action name to match in the target tenant`);
+        return null;
+      }
+      try {
+        return resolveAction(actions, action.action_name);
+      } catch (error) {
+        errors.push(`${label}: ${error.message}`);
+        return null;
+      }
+    });
+
+    const timeLimits = transitions.map(action => {
+      if (!hasStepRef(action.time_limit_action_id)) return null;
+      const sibling = transitions.findIndex(a => a.action_id === action.time_limit_action_id);
+      if (sibling >= 0) return resolved[sibling];
+      if (!action.time_limit_action_name) {
+        errors.push(`${label}: time-limit action ${action.time_limit_action_id} of "${action.action_name}" cannot be matched in the target tenant`);
+        return null;
+      }
+      try {
+        return resolveAction(actions, action.time_limit_action_name);
+      } catch (error) {
+        errors.push(`${label}: time limit of "${action.action_name}": ${error.message}`);
+        return null;
+      }
+    });
+
+    transitions.forEach((action, index) => {
+      const matches = [
+        ['action_id', 'action_name', resolved[index]],
+        ['time_limit_action_id', 'time_limit_action_name', timeLimits[index]]
+      ];
+      for (const [idField, nameField, match] of matches) {
+        if (!match) continue;
+        if (match.action_id !== action[idField]) {
+          remapped.push({
+            step_id: step.step_id,
+            step: step.name ?? null,
+            transition: action.action_name,
+            field: idField,
+            sourceId: action[idField] ?? null,
+            targetId: match.action_id
+          });
+        }
+        action[idField] = match.action_id;
+        action[nameField] = match.action_name ?? action[nameField];
+      }
+    });
+  }
+
+  return { remapped, errors };
+}
+
+/**
+ * Order bundle entries so workflows are created before the workflows that link to them
+ * Entries in a reference cycle keep their bundle order; their links are set after creation.
+ * @param {Array<Object>} items - Plan items with a key
+ * @param {Array<Object>} references - Manifest references
+ * @returns {Array<Object>} Items in creation order
+ */
+export function orderForCreation(items, references = []) {
+  const keys = new Set(items.map(item => item.key));
+  const dependencies = new Map(items.map(item => [item.key, new Set()]));
+  for (const ref of references) {
+    if (keys.has(ref.workflow) && keys.has(ref.target) && ref.workflow !== ref.target) {
+      dependencies.get(ref.workflow).add(ref.target);
+    }
+  }
+
+  const ordered = [];
+  const placed = new Set();
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (const item of items) {
+      if (placed.has(item.key)) continue;
+      if ([...dependencies.get(item.key)].every(key => placed.has(key))) {
+        ordered.push(item);
+        placed.add(item.key);
+        progress = true;
+      }
+    }
+  }
+
+  return ordered.concat(items.filter(item => !placed.has(item.key)));
+}
+
+/**
+ * Find a name that is not used by any existing workflow
+ * @param {string} name - Original name
+ * @param {Set<string>} takenNames - Normalized names already in use
+ * @returns {string} Free name
+ */
+function uniqueName(name, takenNames) {
+  let candidate = `${name} (imported)`;
+  for (let suffix = 2; takenNames.has(normalizeName(candidate)); suffix++) {
+    candidate = `${name} (imported ${suffix})`;
+  }
+  return candidate;
+}
+
+/**
+ * Decide what to do with each workflow in a bundle
+ * @param {Object} bundle - Workflow bundle
+ * @param {Array<Object>} existingWorkflows - Workflows already in the tenant
+ * @param {string} strategy - Name collision strategy (skip, rename or overwrite)
+ * @param {Array<string>} [keys] - Only import these bundle keys
+ * @param {Object} [target] - What the target tenant has
+ * @param {Array<Object>} [target.actions] - Action definitions to match transitions to (omit to keep the bundle's action IDs)
+ * @param {Object} [target.workflowMap] - Target workflow IDs by source workflow ID, for links outside the bundle
+ * @returns {Array<Object>} One plan item per workflow
+ */
+export function planImport(bundle, existingWorkflows, strategy, keys, { actions, workflowMap = {} } = {}) {
+  const existingByName = new Map(existingWorkflows.map(workflow => [normalizeName(workflow.name), workflow]));
+  const existingIds = new Set(existingWorkflows.map(workflow => workflow.id));
+  const externalReferences = bundle.manifest?.externalReferences || [];
+  const takenNames = new Set(existingByName.keys());
+  const entries = keys && keys.length > 0
+    ? bundle.workflows.filter(entry => keys.includes(entry.key))
+    : bundle.workflows;
+
+  return entries.map(entry => {
+    const { definition, errors, warnings } = resolveStepReferences(entry.definition);
+    const links = remapExternalReferences(
+      definition,
+      externalReferences.filter(ref => ref.workflow === entry.key),
+      workflowMap,
+      existingIds
+    );
+    const actionMatches = actions ? remapActions(definition, actions) : { remapped: [], errors: [] };
+    const name = definition.name;
+    const existing = existingByName.get(normalizeName(name));
+    const item = {
+      key: entry.key,
+      name,
+      targetName: name,
+      existingId: existing?.id ?? null,
+      action: 'create',
+      errors: [...errors, ...links.errors, ...actionMatches.errors, ...findPayloadErrors([definition])],
+      warnings: [
+        ...warnings,
+        ...links.links
+          .filter(link => link.status === 'cleared')
+          .map(link => `Step ${link.step_id} (${link.step ?? 'unnamed'}): ${link.field} pointed at workflow ${link.sourceId} outside the bundle and was cleared - map the workflow to keep the link`)
+      ],
+      externalLinks: links.links,
+      remappedActions: actionMatches.remapped,
+      definition
+    };
+
+    if (item.errors.length > 0) {
+      item.action = 'invalid';
+    } else if (existing && strategy === 'skip') {
+      item.action = 'skip';
+    } else if (existing && strategy === 'overwrite') {
+      item.action = 'overwrite';
+    } else if (existing) {
+      item.action = 'rename';
+      item.targetName = uniqueName(name, takenNames);
+    }
+
+    takenNames.add(normalizeName(item.targetName));
+    return item;
+  });
+}
+
+/**
+ * Describe a plan item without its definition
+ * @param {Object} item - Plan item
+ * @returns {Object} Plan summary
+ */
+function describePlanItem(item) {
+  const { definition: _definition, ...summary } = item;
+  return summary;
+}
+
+/**
+ * Import a bundle into the tenant
+ * @param {Object} client - HaloPSA API client
+ * @param {Object} bundle - Workflow bundle
+ * @param {Object} options - Import options
+ * @param {string} [options.strategy='skip'] - Name collision strategy
+ * @param {Array<string>} [options.keys] - Only import these bundle keys
+ * @param {Object} [options.workflowMap] - Target workflow IDs by source workflow ID, for links outside the bundle
+ * @param {boolean} [options.dryRun] - Only return the plan
+ * @param {Object} options.snapshotStore - Store used to snapshot workflows before they are overwritten
+ * @returns {Promise<Object>} Per-workflow results
+ */
+export async function importBundle(client, bundle, { strategy = 'skip', keys, workflowMap, dryRun = false, snapshotStore }) {
+  if (!IMPORT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown import strategy "${strategy}" - use one of ${IMPORT_STRATEGIES.join(', ')}`);
+  }
+
+  const existing = await client.getWorkflows(true);
+  const actions = await client.getActions();
+  const plan = planImport(bundle, existing, strategy, keys, { actions, workflowMap });
+  const references = bundle.manifest?.references || [];
+
+  if (dryRun) {
+    return {
+      dryRun: true,
+      operation: 'importWorkflows',
+      strategy,
+      results: plan.map(describePlanItem)
+    };
+  }
+
+  // Tenant IDs of bundle workflows, known up front for skipped and overwritten ones
+  const tenantIds = new Map();
+  for (const item of plan) {
+    if (item.action === 'skip' || item.action === 'overwrite') {
+      tenantIds.set(item.key, item.existingId);
+    }
+  }
+
+  const results = [];
+  const deferred = [];
+  for (const item of orderForCreation(plan, references)) {
+    const result = {
+      key: item.key,
+      name: item.targetName,
+      id: item.existingId,
+      warnings: item.warnings,
+      externalLinks: item.externalLinks,
+      remappedActions: item.remappedActions
+    };
+
+    if (item.action === 'invalid') {
+      results.push({ ...result, status: 'failed', errors: item.errors });
+      continue;
+    }
+    if (item.action === 'skip') {
+      results.push({ ...result, status: 'skipped', message: `A workflow named "${item.name}" already exists` });
+      continue;
+    }
+
+    const payload = { ...structuredClone(item.definition), name: item.targetName };
+    for (const ref of references.filter(r => r.workflow === item.key)) {
+      const step = (payload.steps || []).find(s => s.step_id === ref.step_id);
+      if (step && tenantIds.has(ref.target)) {
+        step[ref.field] = tenantIds.get(ref.target);
+      } else if (step) {
+        deferred.push(ref);
+      }
+    }
+
+    try {
+      if (item.action === 'overwrite') {
+        const current = await client.getWorkflow(item.existingId, true);
+        await snapshotStore.save(current, 'importWorkflows');
+        await client.updateWorkflow(item.existingId, payload, current);
+        results.push({ ...result, status: 'overwritten' });
+      } else {
+        const response = await client.createWorkflows([payload]);
+        const created = Array.isArray(response) ? response[0] : response;
+        tenantIds.set(item.key, created?.id ?? null);
+        results.push({
+          ...result,
+          id: created?.id ?? null,
+          status: item.action === 'rename' ? 'renamed' : 'created'
+        });
+      }
+    } catch (error) {
+      results.push({ ...result, status: 'failed', errors: [error.message] });
+    }
+  }
+
+  // Links between workflows in a reference cycle can only be set once both exist
+  for (const ref of deferred) {
+    const result = results.find(r => r.key === ref.workflow);
+    const sourceId = tenantIds.get(ref.workflow);
+    const targetId = tenantIds.get(ref.target);
+    if (!sourceId || !targetId) {
+      result.warnings = [...result.warnings, `Could not link step ${ref.step_id} ${ref.field} to "${ref.target}"`];
+      continue;
+    }
+
+    try {
+      const current = await client.getWorkflow(sourceId, true);
+      const steps = (current.steps || []).map(step => (
+        step.step_id === ref.step_id ? { ...step, [ref.field]: targetId } : step
+      ));
+      await client.updateWorkflow(sourceId, { steps }, current);
+    } catch (error) {
+      result.warnings = [...result.warnings, `Failed to link step ${ref.step_id} ${ref.field}: ${error.message}`];
+    }
+  }
+
+  return {
+    strategy,
+    results
+  };
+}
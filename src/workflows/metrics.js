@@ -0,0 +1,179 @@
+/**
+ * Workflow Metrics
+ * Complexity and quality figures for workflows, with tenant-wide outliers
+ */
+import { buildGraph } from './graph.js';
+import { formatCsv, formatTable } from './tabular.js';
+
+// Metrics compared across the tenant to find outliers
+export const OUTLIER_METRICS = [
+  'steps',
+  'transitions',
+  'maxPathLength',
+  'cyclomaticComplexity',
+  'approvalSteps',
+  'timeLimitedTransitions'
+];
+
+export const METRIC_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'name', label: 'Workflow' },
+  { key: 'steps', label: 'Steps' },
+  { key: 'transitions', label: 'Transitions' },
+  { key: 'maxPathLength', label: 'Max path length' },
+  { key: 'cyclomaticComplexity', label: 'Cyclomatic complexity' },
+  { key: 'approvalSteps', label: 'Approval steps' },
+  { key: 'timeLimitedTransitions', label: 'Time-limited transitions' },
+  { key: 'unusedStages', label: 'Unused stages' }
+];
+
+/**
+ * Length of the longest path through a workflow, in transitions
+ * Transitions that loop back to a step already on the path are left out, so
+ * every loop is counted once.
+ * @param {Object} graph - Graph from buildGraph
+ * @returns {number} Longest path length
+ */
+function longestPath(graph) {
+  const next = id => (graph.outgoing.get(id) || [])
+    .map(edge => edge.to)
+    .filter(to => to !== null && to !== id && graph.steps.has(to));
+
+  // Find the transitions that close a loop
+  const backEdges = new Set();
+  const visited = new Set();
+  const onPath = new Set();
+  const explore = id => {
+    visited.add(id);
+    onPath.add(id);
+    for (const to of next(id)) {
+      if (onPath.has(to)) {
+        backEdges.add(`${id}>${to}`);
+      } else if (!visited.has(to)) {
+        explore(to);
+      }
+    }
+    onPath.delete(id);
+  };
+  const roots = graph.startSteps.length > 0 ? graph.startSteps.map(step => step.step_id) : [...graph.steps.keys()];
+  for (const id of [...roots, ...graph.steps.keys()]) {
+    if (!visited.has(id)) explore(id);
+  }
+
+  const lengths = new Map();
+  const measure = id => {
+    if (!lengths.has(id)) {
+      lengths.set(id, Math.max(0, ...next(id)
+        .filter(to => !backEdges.has(`${id}>${to}`))
+        .map(to => measure(to) + 1)));
+    }
+    return lengths.get(id);
+  };
+  return Math.max(0, ...roots.map(measure));
+}
+
+/**
+ * Count the connected parts of a workflow graph (ignoring direction)
+ * @param {Object} graph - Graph from buildGraph
+ * @returns {number} Number of connected components
+ */
+function countComponents(graph) {
+  const neighbours = new Map([...graph.steps.keys()].map(id => [id, new Set()]));
+  for (const edge of graph.edges) {
+    if (edge.to === null || !neighbours.has(edge.from) || !neighbours.has(edge.to)) continue;
+    neighbours.get(edge.from).add(edge.to);
+    neighbours.get(edge.to).add(edge.from);
+  }
+
+  const seen = new Set();
+  let components = 0;
+  for (const id of neighbours.keys()) {
+    if (seen.has(id)) continue;
+    components++;
+    const queue = [id];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (seen.has(current)) continue;
+      seen.add(current);
+      queue.push(...neighbours.get(current));
+    }
+  }
+  return components;
+}
+
+/**
+ * Compute the metrics of a workflow
+ * Cyclomatic complexity is E - N + 2P over transitions (E), steps (N) and connected
+ * parts (P); a transition without an end step counts as a loop on its step.
+ * @param {Object} workflow - FlowHeader fetched with includedetails=true
+ * @returns {Object} Metrics
+ */
+export function computeWorkflowMetrics(workflow) {
+  const graph = buildGraph(workflow);
+  const steps = workflow.steps || [];
+  const transitions = graph.edges.length;
+  const usedStages = new Set(steps.map(step => step.stage_number));
+
+  return {
+    id: workflow.id ?? null,
+    name: workflow.name ?? null,
+    steps: steps.length,
+    transitions,
+    maxPathLength: longestPath(graph),
+    cyclomaticComplexity: steps.length === 0 ? 0 : transitions - steps.length + 2 * countComponents(graph),
+    approvalSteps: steps.filter(step => (step.actions || []).some(action => action.approval_result > 0)).length,
+    timeLimitedTransitions: graph.edges.filter(edge => edge.transition.time_limit_mins > 0).length,
+    unusedStages: (workflow.stages || []).filter(stage => !usedStages.has(stage.sequence)).map(stage => stage.name ?? null)
+  };
+}
+
+/**
+ * Value at a quantile of sorted numbers (linear interpolation)
+ * @param {Array<number>} sorted - Numbers in ascending order
+ * @param {number} q - Quantile between 0 and 1
+ * @returns {number} Value
+ */
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Find workflows whose metrics stand out from the rest of the tenant
+ * A value is an outlier above Q3 + 1.5 × IQR (Tukey's fence); at least four
+ * workflows are needed for the comparison to mean anything.
+ * @param {Array<Object>} metrics - Metrics from computeWorkflowMetrics
+ * @returns {Array<Object>} Outliers, largest first within each metric
+ */
+export function findMetricOutliers(metrics) {
+  if (metrics.length < 4) return [];
+
+  const outliers = [];
+  for (const metric of OUTLIER_METRICS) {
+    const sorted = metrics.map(row => row[metric]).sort((a, b) => a - b);
+    const q3 = quantile(sorted, 0.75);
+    const threshold = q3 + 1.5 * (q3 - quantile(sorted, 0.25));
+    outliers.push(...metrics
+      .filter(row => row[metric] > threshold)
+      .sort((a, b) => b[metric] - a[metric])
+      .map(row => ({ metric, id: row.id, name: row.name, value: row[metric], threshold })));
+  }
+  return outliers;
+}
+
+/**
+ * Build the metrics report for a set of workflows
+ * @param {Array<Object>} workflows - FlowHeaders fetched with includedetails=true
+ * @returns {Object} Metrics per workflow, outliers, and Markdown table and CSV renderings
+ */
+export function buildMetricsReport(workflows) {
+  const metrics = workflows.map(computeWorkflowMetrics);
+  return {
+    workflows: metrics,
+    outliers: findMetricOutliers(metrics),
+    table: formatTable(METRIC_COLUMNS, metrics),
+    csv: formatCsv(METRIC_COLUMNS, metrics)
+  };
+}
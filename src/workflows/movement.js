@@ -0,0 +1,107 @@
+/**
+ * Ticket Movement
+ * Checks a requested move of a ticket against the transitions of its workflow
+ *
+ * A ticket moves when an action is recorded on it that is a transition of its
+ * current step. Actions listed in the workflow's always_allow_actions may be used
+ * on any step, but they leave the ticket where it is.
+ */
+import { findStep } from './editor.js';
+import { hasStepRef } from './graph.js';
+
+/**
+ * Summarize a step
+ * @param {Object} step - FlowDetail
+ * @returns {Object} step_id and name
+ */
+function stepSummary(step) {
+  return { step_id: step.step_id, name: step.name ?? null };
+}
+
+/**
+ * Describe a transition of the current step
+ * @param {Object} transition - FlowSubDetail
+ * @param {Object} workflow - FlowHeader with steps
+ * @returns {string} e.g. "Assign -> Assigned"
+ */
+function describeOption(transition, workflow) {
+  const end = (workflow.steps || []).find(step => step.step_id === transition.end_step);
+  const to = hasStepRef(transition.end_step) ? end?.name ?? `step ${transition.end_step}` : 'same step';
+  return `${transition.action_name ?? transition.action_id} -> ${to}`;
+}
+
+/**
+ * Work out which action moves a ticket as requested, refusing moves the workflow does not allow
+ * @param {Object} workflow - FlowHeader (with steps) the ticket is on
+ * @param {Object} ticket - Ticket with workflow_id and workflow_step
+ * @param {Object} request - The move
+ * @param {number|string} [request.action] - Action ID or name to apply
+ * @param {number|string} [request.to] - Step (step_id or name) to move to
+ * @returns {Object} The ticket, the step it is on, the action to record and the step it should end up on
+ */
+export function planTicketMove(workflow, ticket, { action, to }) {
+  if (ticket.workflow_id !== workflow.id) {
+    throw new Error(`Ticket ${ticket.id} is not on workflow ${workflow.id}`);
+  }
+  if (action === undefined && to === undefined) {
+    throw new Error('Give the action to apply, the step to move to, or both');
+  }
+
+  const current = findStep(workflow, ticket.workflow_step);
+  const transitions = current.actions || [];
+  const target = to === undefined ? null : findStep(workflow, to);
+  const options = transitions.map(transition => describeOption(transition, workflow));
+  const available = options.length > 0 ? options.join(', ') : 'none';
+
+  let candidates = transitions;
+  if (action !== undefined) {
+    candidates = candidates.filter(transition => (typeof action === 'number'
+      ? transition.action_id === action
+      : String(transition.action_name ?? '').toLowerCase() === String(action).toLowerCase()));
+  }
+  if (target) {
+    candidates = candidates.filter(transition => (hasStepRef(transition.end_step)
+      ? transition.end_step === target.step_id
+      : target.step_id === current.step_id));
+  }
+
+  if (candidates.length === 1) {
+    const [transition] = candidates;
+    const end = hasStepRef(transition.end_step) ? findStep(workflow, transition.end_step) : current;
+    return {
+      ticket_id: ticket.id,
+      from: stepSummary(current),
+      to: stepSummary(end),
+      action: { action_id: transition.action_id, action_name: transition.action_name ?? null },
+      alwaysAllowed: false,
+      approval_result: transition.approval_result ?? null
+    };
+  }
+  if (candidates.length > 1) {
+    throw new Error(`More than one action moves the ticket from "${current.name}" to "${target.name}" (${candidates.map(t => t.action_name ?? t.action_id).join(', ')}) - name the action`);
+  }
+
+  // Not a transition of this step: the action may still be allowed on every step
+  if (action !== undefined && (target === null || target.step_id === current.step_id)) {
+    const name = String(action).trim().toLowerCase();
+    const allowed = (workflow.always_allow_actions || []).find(outcome => (typeof action === 'number'
+      ? outcome.id === action
+      : [outcome.outcome, outcome.buttonname].some(text => String(text ?? '').trim().toLowerCase() === name)));
+    if (allowed) {
+      return {
+        ticket_id: ticket.id,
+        from: stepSummary(current),
+        to: stepSummary(current),
+        action: { action_id: allowed.id, action_name: allowed.outcome ?? allowed.buttonname ?? null },
+        alwaysAllowed: true,
+        approval_result: null
+      };
+    }
+  }
+
+  const requested = [
+    action !== undefined ? `action "${action}"` : null,
+    target ? `a move to "${target.name}"` : null
+  ].filter(Boolean).join(' with ');
+  throw new Error(`Workflow "${workflow.name}" does not allow ${requested} from step "${current.name}" (available: ${available})`);
+}
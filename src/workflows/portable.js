@@ -0,0 +1,131 @@
+/**
+ * Portable Workflows
+ * Converts FlowHeader records into payloads that can be re-created with createWorkflows
+ *
+ * Steps are identified within a workflow by FlowDetail.step_id, which is what
+ * transitions (start_step/end_step), stage outcomes and target steps refer to.
+ * Everything else with an ID (fdid, FlowSubDetail.id, stage IDs, guids) is
+ * assigned by the server and has to be dropped before a workflow is re-created.
+ */
+
+/**
+ * Server-assigned fields removed from each level of a FlowHeader
+ */
+const SERVER_FIELDS = {
+  header: ['id', 'guid', 'in_use', 'workflow_history', '_warning'],
+  step: ['fdid', 'flow_id'],
+  action: ['id', 'flow_id'],
+  restriction: ['id', 'flowsubdetail_id'],
+  stage: ['id', 'flow_id'],
+  target: ['id', 'flow_id', 'flow_guid', '_warning'],
+  targetStep: ['id', 'workflowtarget_id', 'flowheader_id', '_warning']
+};
+
+/**
+ * Copy an object without the given fields
+ * @param {Object} source - Object to copy
+ * @param {Array<string>} fields - Fields to drop
+ * @returns {Object} Shallow copy without the fields
+ */
+function omit(source, fields) {
+  const copy = { ...source };
+  for (const field of fields) {
+    delete copy[field];
+  }
+  return copy;
+}
+
+/**
+ * Deep copy a workflow without any server-assigned IDs
+ * @param {Object} workflow - FlowHeader fetched with includedetails=true
+ * @returns {Object} Workflow that no longer refers to tenant-specific record IDs
+ */
+export function stripServerIds(workflow) {
+  const copy = omit(structuredClone(workflow), SERVER_FIELDS.header);
+
+  if (Array.isArray(copy.steps)) {
+    copy.steps = copy.steps.map(step => {
+      const cleanStep = omit(step, SERVER_FIELDS.step);
+      if (Array.isArray(cleanStep.actions)) {
+        cleanStep.actions = cleanStep.actions.map(action => {
+          const cleanAction = omit(action, SERVER_FIELDS.action);
+          if (Array.isArray(cleanAction.restrictions)) {
+            cleanAction.restrictions = cleanAction.restrictions.map(r => omit(r, SERVER_FIELDS.restriction));
+          }
+          return cleanAction;
+        });
+      }
+      return cleanStep;
+    });
+  }
+
+  if (Array.isArray(copy.stages)) {
+    copy.stages = copy.stages.map(stage => omit(stage, SERVER_FIELDS.stage));
+  }
+
+  if (Array.isArray(copy.targets)) {
+    copy.targets = copy.targets.map(target => {
+      const cleanTarget = omit(target, SERVER_FIELDS.target);
+      for (const field of ['start_steps', 'end_steps']) {
+        if (Array.isArray(cleanTarget[field])) {
+          cleanTarget[field] = cleanTarget[field].map(step => omit(step, SERVER_FIELDS.targetStep));
+        }
+      }
+      return cleanTarget;
+    });
+  }
+
+  return copy;
+}
+
+/**
+ * Renumber step IDs sequentially and rewrite every reference to them
+ * @param {Object} workflow - Workflow to renumber (not modified)
+ * @param {number} [firstId=1] - Step ID given to the first step
+ * @returns {Object} The renumbered workflow and a map of old to new step IDs
+ */
+export function remapStepIds(workflow, firstId = 1) {
+  const copy = structuredClone(workflow);
+  const stepIdMap = new Map();
+
+  (copy.steps || []).forEach((step, index) => {
+    if (step.step_id !== undefined && step.step_id !== null) {
+      stepIdMap.set(step.step_id, firstId + index);
+    }
+    step.step_id = firstId + index;
+  });
+
+  const remap = (value) => (stepIdMap.has(value) ? stepIdMap.get(value) : value);
+
+  for (const step of copy.steps || []) {
+    for (const action of step.actions || []) {
+      action.start_step = remap(action.start_step);
+      action.end_step = remap(action.end_step);
+    }
+  }
+
+  for (const stage of copy.stages || []) {
+    stage.outcome_step = remap(stage.outcome_step);
+  }
+
+  for (const target of copy.targets || []) {
+    for (const field of ['start_steps', 'end_steps']) {
+      for (const targetStep of target[field] || []) {
+        targetStep.step_id = remap(targetStep.step_id);
+      }
+    }
+  }
+
+  return { workflow: copy, stepIdMap: Object.fromEntries(stepIdMap) };
+}
+
+/**
+ * Prepare a stored workflow for createWorkflows
+ * @param {Object} workflow - Workflow as fetched, snapshotted or exported
+ * @param {Object} [overrides] - Top-level fields to set on the new workflow (e.g. name)
+ * @returns {Object} FlowHeader payload ready for createWorkflows
+ */
+export function toCreatePayload(workflow, overrides = {}) {
+  const { workflow: remapped } = remapStepIds(stripServerIds(workflow));
+  return { ...remapped, ...overrides };
+}
@@ -0,0 +1,121 @@
+/**
+ * Workflow Previews
+ * Builds dry-run previews for mutating workflow tools without calling the API
+ */
+import { summarizeChanges } from './changes.js';
+import { validateWorkflow } from './validator.js';
+
+/**
+ * Summarize a workflow for previews and confirmations
+ * @param {Object} workflow - FlowHeader (ideally fetched with includedetails=true)
+ * @returns {Object} Compact workflow summary
+ */
+export function summarizeWorkflow(workflow = {}) {
+  return {
+    id: workflow.id ?? null,
+    name: workflow.name ?? null,
+    active: workflow.active ?? null,
+    in_use: workflow.in_use ?? false,
+    steps: (workflow.steps || []).length,
+    stages: (workflow.stages || []).length,
+    targets: (workflow.targets || []).map(target => ({
+      id: target.id ?? null,
+      name: target.name ?? null
+    }))
+  };
+}
+
+/**
+ * Check a createWorkflows payload for structural problems
+ * @param {Array} workflows - Workflows to create
+ * @returns {Array<string>} Problems found (empty if the payload is usable)
+ */
+export function findPayloadErrors(workflows) {
+  if (!Array.isArray(workflows)) {
+    return ['workflows must be an array of FlowHeader objects'];
+  }
+  if (workflows.length === 0) {
+    return ['workflows must contain at least one FlowHeader'];
+  }
+
+  const errors = [];
+  workflows.forEach((workflow, index) => {
+    if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow)) {
+      errors.push(`workflows[${index}] is not an object`);
+      return;
+    }
+    if (typeof workflow.name !== 'string' || workflow.name.trim() === '') {
+      errors.push(`workflows[${index}] has no name`);
+    }
+    for (const field of ['steps', 'stages', 'targets']) {
+      if (workflow[field] !== undefined && !Array.isArray(workflow[field])) {
+        errors.push(`workflows[${index}].${field} must be an array`);
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Build the preview returned by deleteWorkflow in dry-run mode
+ * @param {Object} workflow - Workflow that would be deleted
+ * @param {Object} [dependencies] - Result of assessWorkflowDeletion for the workflow
+ * @returns {Object} Delete preview
+ */
+export function buildDeletePreview(workflow, dependencies = null) {
+  const summary = summarizeWorkflow(workflow);
+  const warnings = [];
+  if (summary.in_use) {
+    warnings.push('Workflow is in use by tickets - deleting it may strand them');
+  }
+  if (summary.targets.length > 0) {
+    warnings.push(`Workflow is bound to ${summary.targets.length} target(s)`);
+  }
+  if (dependencies) {
+    warnings.push(...dependencies.breaks);
+  }
+
+  return {
+    dryRun: true,
+    operation: 'deleteWorkflow',
+    wouldDelete: summary,
+    ...(dependencies ? { dependencies } : {}),
+    warnings
+  };
+}
+
+/**
+ * Build the preview returned by createWorkflows in dry-run mode
+ * @param {Array} workflows - Workflows that would be created
+ * @returns {Object} Create preview
+ */
+export function buildCreatePreview(workflows) {
+  const errors = findPayloadErrors(workflows);
+  const validation = errors.length === 0 ? workflows.map(validateWorkflow) : [];
+
+  return {
+    dryRun: true,
+    operation: 'createWorkflows',
+    valid: errors.length === 0 && validation.every(result => result.valid),
+    errors,
+    wouldCreate: Array.isArray(workflows)
+      ? workflows.map((workflow, index) => ({ ...summarizeWorkflow(workflow), validation: validation[index] ?? null }))
+      : []
+  };
+}
+
+/**
+ * Build the preview returned by updateWorkflow in dry-run mode
+ * @param {Object} before - Current workflow record
+ * @param {Object} after - Workflow record with the changes merged
+ * @param {Array<string>} fields - Fields being changed
+ * @returns {Object} Update preview
+ */
+export function buildUpdatePreview(before, after, fields) {
+  return {
+    dryRun: true,
+    operation: 'updateWorkflow',
+    workflow: summarizeWorkflow(before),
+    changes: summarizeChanges(before, after, fields)
+  };
+}
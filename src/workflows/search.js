@@ -0,0 +1,126 @@
+/**
+ * Workflow Search
+ * Filters workflow headers by name, flags, ticket type, step and action names
+ *
+ * Results are compact summaries rather than FlowHeaders so that large tenants can
+ * be searched without returning every workflow definition.
+ */
+import { matchTicketTypes } from './targets.js';
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 200;
+
+/**
+ * Build a case-insensitive matcher for a name filter
+ * @param {string} pattern - Substring, or a regular expression when regex is set
+ * @param {boolean} [regex=false] - Treat the pattern as a regular expression
+ * @returns {Function} Predicate on a text value
+ */
+export function buildNameMatcher(pattern, regex = false) {
+  if (regex) {
+    let expression;
+    try {
+      expression = new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid name pattern: ${error.message}`);
+    }
+    return text => expression.test(String(text ?? ''));
+  }
+  const needle = String(pattern).toLowerCase();
+  return text => String(text ?? '').toLowerCase().includes(needle);
+}
+
+/**
+ * Search workflows
+ * @param {Array<Object>} workflows - Workflow headers
+ * @param {Object} criteria - Filters; every filter given must match
+ * @param {string} [criteria.name] - Name substring (or regular expression with regex)
+ * @param {boolean} [criteria.regex] - Treat name as a regular expression
+ * @param {boolean} [criteria.active] - Active flag
+ * @param {boolean} [criteria.inUse] - in_use flag
+ * @param {number|string} [criteria.ticketType] - Ticket type (ID or name) bound to the workflow
+ * @param {string} [criteria.step] - Substring of a step name
+ * @param {string} [criteria.action] - Substring of a transition's action name
+ * @param {string} [criteria.changedHereSince] - Only workflows changed through this server since this date
+ * @param {number} [criteria.offset=0] - Results to skip
+ * @param {number} [criteria.limit=25] - Results to return (at most 200)
+ * @param {Object} context - Tenant data to search in
+ * @param {Array<Object>} context.steps - FlowDetails of every workflow (with flow_id and actions)
+ * @param {Array<Object>} context.ticketTypes - Ticket types
+ * @param {Map<number, string>} [context.lastChanged] - When each workflow was last changed through this server
+ * @returns {Object} Page of workflow summaries
+ */
+export function searchWorkflows(workflows, criteria, { steps, ticketTypes, lastChanged = new Map() }) {
+  const offset = Math.max(criteria.offset ?? 0, 0);
+  const limit = Math.min(Math.max(criteria.limit ?? DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const nameMatches = criteria.name ? buildNameMatcher(criteria.name, criteria.regex) : null;
+  const stepMatches = criteria.step ? buildNameMatcher(criteria.step) : null;
+  const actionMatches = criteria.action ? buildNameMatcher(criteria.action) : null;
+
+  let boundWorkflows = null;
+  if (criteria.ticketType !== undefined) {
+    const matches = matchTicketTypes(ticketTypes, criteria.ticketType);
+    if (matches.length === 0) {
+      throw new Error(`No ticket type matches "${criteria.ticketType}"`);
+    }
+    boundWorkflows = new Set(matches.map(type => type.workflow_id));
+  }
+
+  let changedHereSince = null;
+  if (criteria.changedHereSince !== undefined) {
+    changedHereSince = new Date(criteria.changedHereSince).getTime();
+    if (!Number.isFinite(changedHereSince)) {
+      throw new Error(`Invalid changedHereSince date "${criteria.changedHereSince}"`);
+    }
+  }
+
+  const stepsByWorkflow = new Map();
+  for (const step of steps) {
+    if (!stepsByWorkflow.has(step.flow_id)) {
+      stepsByWorkflow.set(step.flow_id, []);
+    }
+    stepsByWorkflow.get(step.flow_id).push(step);
+  }
+
+  const results = [];
+  for (const workflow of workflows) {
+    if (nameMatches && !nameMatches(workflow.name)) continue;
+    if (criteria.active !== undefined && (workflow.active !== false) !== criteria.active) continue;
+    if (criteria.inUse !== undefined && Boolean(workflow.in_use) !== criteria.inUse) continue;
+    if (boundWorkflows && !boundWorkflows.has(workflow.id)) continue;
+
+    const changed = lastChanged.get(workflow.id) ?? null;
+    if (changedHereSince !== null && (!changed || new Date(changed).getTime() < changedHereSince)) continue;
+
+    const workflowSteps = stepsByWorkflow.get(workflow.id) || [];
+    const matchedSteps = stepMatches ? workflowSteps.filter(step => stepMatches(step.name)).map(step => step.name) : [];
+    if (stepMatches && matchedSteps.length === 0) continue;
+
+    const matchedActions = actionMatches
+      ? [...new Set(workflowSteps.flatMap(step => (step.actions || []).map(action => action.action_name))
+        .filter(name => actionMatches(name)))]
+      : [];
+    if (actionMatches && matchedActions.length === 0) continue;
+
+    results.push({
+      id: workflow.id,
+      name: workflow.name ?? null,
+      active: workflow.active !== false,
+      in_use: Boolean(workflow.in_use),
+      steps: workflowSteps.length,
+      ticketTypes: ticketTypes.filter(type => type.workflow_id === workflow.id).map(type => type.name),
+      lastChangedHere: changed,
+      ...(stepMatches ? { matchedSteps } : {}),
+      ...(actionMatches ? { matchedActions } : {})
+    });
+  }
+
+  const page = results.slice(offset, offset + limit);
+  return {
+    total: results.length,
+    offset,
+    limit,
+    nextOffset: offset + page.length < results.length ? offset + page.length : null,
+    workflows: page
+  };
+}
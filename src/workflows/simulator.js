@@ -0,0 +1,229 @@
+/**
+ * Workflow Simulator
+ * Walks a simulated ticket through a workflow without touching HaloPSA
+ *
+ * The simulation replays a list of events: actions applied by an agent, field
+ * changes and time passing. Transition restrictions (FlowSubDetailRestriction) and
+ * conditions (AutoassignCriteria), and step conditions on entering a step, are
+ * evaluated against the simulated field values. When time passes, time-limited
+ * transitions fire their time-limit action. Durations are taken as given, so limits
+ * that count working hours are compared with the simulated minutes directly.
+ */
+import { findTimeLimitTransition, hasStepRef, isTerminalStep } from './graph.js';
+
+// Time-limit escalations followed in a row before the simulation gives up
+const MAX_ESCALATIONS = 100;
+
+/**
+ * Compare a ticket field with a text or numeric value
+ * @param {*} actual - Simulated field value
+ * @param {*} expected - Value to compare with
+ * @param {boolean} [partial=false] - Match when the field contains the value
+ * @returns {boolean} True on a match
+ */
+function valueMatches(actual, expected, partial = false) {
+  if (actual === undefined || actual === null || expected === undefined || expected === null) return false;
+  if (typeof actual === 'number' && typeof expected === 'number') return actual === expected;
+  const left = String(actual).trim().toLowerCase();
+  const right = String(expected).trim().toLowerCase();
+  return partial ? left.includes(right) : left === right;
+}
+
+/**
+ * Check a transition's restrictions against the ticket fields
+ * Restrictions on the same field are alternatives; every restricted field has to match.
+ * Fields are looked up by field_id.
+ * @param {Array<Object>} restrictions - FlowSubDetailRestriction records
+ * @param {Object} fields - Simulated field values
+ * @returns {Array<string>} Why the transition is restricted (empty when allowed)
+ */
+export function checkRestrictions(restrictions, fields) {
+  const byField = new Map();
+  for (const restriction of restrictions || []) {
+    if (!byField.has(restriction.field_id)) byField.set(restriction.field_id, []);
+    byField.get(restriction.field_id).push(restriction);
+  }
+
+  const failures = [];
+  for (const [fieldId, options] of byField) {
+    const actual = fields[fieldId];
+    const allowed = options.some(option => valueMatches(actual, option.value_id) || valueMatches(actual, option.value_name));
+    if (!allowed) {
+      const values = options.map(option => option.value_name ?? option.value_id).join(' or ');
+      failures.push(`field ${fieldId} is ${actual === undefined ? 'not set' : `"${actual}"`}, needs ${values}`);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Check conditions against the ticket fields
+ * Every condition has to match. Fields are looked up by fieldname.
+ * @param {Array<Object>} conditions - AutoassignCriteria records
+ * @param {Object} fields - Simulated field values
+ * @returns {Array<string>} Conditions that do not match (empty when all match)
+ */
+export function checkConditions(conditions, fields) {
+  const failures = [];
+  for (const condition of conditions || []) {
+    const expected = condition.value_int ?? condition.value_float ?? condition.value_string ??
+      condition.value_datetime ?? condition.value_display;
+    const actual = fields[condition.fieldname];
+    if (!valueMatches(actual, expected, Boolean(condition.partialmatch))) {
+      failures.push(`${condition.fieldname} is ${actual === undefined ? 'not set' : `"${actual}"`}, needs ${condition.partialmatch ? 'to contain ' : ''}"${condition.value_display ?? expected}"`);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Find the transition of a step for an action
+ * @param {Object} step - FlowDetail
+ * @param {number|string} ref - action_id or action_name
+ * @returns {Object|undefined} FlowSubDetail
+ */
+function findAction(step, ref) {
+  return (step.actions || []).find(action => (typeof ref === 'number'
+    ? action.action_id === ref
+    : String(action.action_name ?? '').toLowerCase() === String(ref).toLowerCase()));
+}
+
+/**
+ * Simulate a ticket walking through a workflow
+ * @param {Object} workflow - FlowHeader with steps (from the API, a bundle or a compiled definition)
+ * @param {Object} [options] - Simulation input
+ * @param {Array<Object>} [options.events] - Events in order: { action, after?, fields? }, { fields } or { wait }
+ * @param {Object} [options.fields] - Initial field values (by field_id for restrictions, fieldname for conditions)
+ * @param {number|string} [options.startStep] - Step to start on (defaults to the start step)
+ * @returns {Object} Path taken, escalations that fired, and where the ticket got stuck
+ */
+export function simulateWorkflow(workflow, { events = [], fields = {}, startStep } = {}) {
+  const steps = workflow.steps || [];
+  const byId = new Map(steps.map(step => [step.step_id, step]));
+  const state = { fields: { ...fields }, clock: 0, enteredAt: 0, step: null, fired: new Set() };
+  const path = [];
+  const escalations = [];
+  let stuck = null;
+
+  const summary = step => ({ step_id: step.step_id, name: step.name ?? null });
+  const findStepRef = ref => (typeof ref === 'number'
+    ? byId.get(ref)
+    : steps.find(step => String(step.name ?? '').toLowerCase() === String(ref).toLowerCase()));
+
+  if (startStep !== undefined) {
+    state.step = findStepRef(startStep);
+    if (!state.step) throw new Error(`Workflow has no step ${typeof startStep === 'number' ? startStep : `"${startStep}"`}`);
+  } else {
+    const starts = steps.filter(step => step.isstart);
+    if (starts.length !== 1) {
+      throw new Error(`Workflow has ${starts.length} start steps - give startStep`);
+    }
+    state.step = starts[0];
+  }
+  path.push({ ...summary(state.step), at: 0, via: null });
+
+  // Move along a transition; returns why the move cannot happen, or null
+  const follow = (transition, via) => {
+    if (!hasStepRef(transition.end_step)) {
+      return null;
+    }
+    const next = byId.get(transition.end_step);
+    if (!next) {
+      return `transition "${transition.action_name}" leads to missing step ${transition.end_step}`;
+    }
+    const failures = checkConditions(next.step_conditions, state.fields);
+    if (failures.length > 0) {
+      return `conditions of step "${next.name}" not met: ${failures.join('; ')}`;
+    }
+    state.step = next;
+    state.enteredAt = state.clock;
+    state.fired = new Set();
+    path.push({ ...summary(next), at: state.clock, via });
+    return null;
+  };
+
+  // Let time pass, firing time limits as they expire; returns why one cannot fire, or null
+  const wait = minutes => {
+    const until = state.clock + minutes;
+    for (let fired = 0; fired < MAX_ESCALATIONS; fired++) {
+      const limited = (state.step.actions || [])
+        .filter(action => action.time_limit_mins > 0 && !state.fired.has(action))
+        .sort((a, b) => a.time_limit_mins - b.time_limit_mins)[0];
+      if (!limited || state.enteredAt + limited.time_limit_mins > until) {
+        state.clock = until;
+        return null;
+      }
+
+      state.clock = state.enteredAt + limited.time_limit_mins;
+      state.fired.add(limited);
+      const escalation = findTimeLimitTransition(state.step, limited);
+      const record = {
+        at: state.clock,
+        step: summary(state.step),
+        limitMins: limited.time_limit_mins,
+        useWorkHours: Boolean(limited.use_work_hours),
+        action: limited.time_limit_action_name ?? escalation?.action_name ?? null
+      };
+      escalations.push(record);
+      if (!escalation) {
+        return `time limit of "${limited.action_name}" expired but its time-limit action is not a transition of step "${state.step.name}"`;
+      }
+      const reason = follow(escalation, { action: escalation.action_name ?? null, timeLimit: true });
+      if (reason) return reason;
+    }
+    return `more than ${MAX_ESCALATIONS} time-limit escalations in a row - the time limits loop`;
+  };
+
+  // Apply one event; returns why the ticket got stuck, or null
+  const apply = event => {
+    if (event.after > 0 || event.wait > 0) {
+      const reason = wait(event.after ?? event.wait);
+      if (reason) return reason;
+    }
+    Object.assign(state.fields, event.fields || {});
+    if (event.action === undefined) return null;
+
+    const transition = findAction(state.step, event.action);
+    if (!transition) {
+      const always = (workflow.always_allow_actions || []).some(action => (typeof event.action === 'number'
+        ? action.id === event.action
+        : valueMatches(action.outcome, event.action) || valueMatches(action.buttonname, event.action)));
+      if (always) return null;
+      const available = (state.step.actions || []).map(action => action.action_name ?? action.action_id).join(', ') || 'none';
+      return `action "${event.action}" is not a transition of step "${state.step.name}" (available: ${available})`;
+    }
+
+    const failures = [
+      ...checkRestrictions(transition.restrictions, state.fields),
+      ...checkConditions(transition.conditions, state.fields)
+    ];
+    if (failures.length > 0) {
+      return `transition "${transition.action_name}" is not available: ${failures.join('; ')}`;
+    }
+    return follow(transition, { action: transition.action_name ?? null, timeLimit: false });
+  };
+
+  for (const [index, event] of events.entries()) {
+    const reason = apply(event);
+    if (reason) {
+      stuck = { event: index, step: summary(state.step), at: state.clock, reason };
+      break;
+    }
+  }
+
+  const finished = isTerminalStep(state.step);
+  if (!stuck && !finished && (state.step.actions || []).length === 0) {
+    stuck = { event: null, step: summary(state.step), at: state.clock, reason: `step "${state.step.name}" has no transitions and does not end the workflow` };
+  }
+
+  return {
+    workflow: workflow.name ?? null,
+    completed: !stuck && finished,
+    finalStep: summary(state.step),
+    elapsedMins: state.clock,
+    path,
+    escalations,
+    stuck,
+    fields: state.fields
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * Workflow Snapshots
+ * Stores full FlowHeader records on disk before they are changed or deleted
+ */
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/index.js';
+
+// Snapshot IDs are "<workflowId>_<timestamp>_<suffix>"; the random suffix keeps snapshots taken in the
+// same millisecond apart (IDs saved before it was added have none), and the pattern keeps IDs from escaping the store
+const SNAPSHOT_ID_PATTERN = /^(\d+)_(\d{8}T\d{9}Z(?:_[0-9a-f]{6})?)$/;
+
+/**
+ * Format a date as a compact, filename-safe timestamp
+ * @param {Date} date - Date to format
+ * @returns {string} Timestamp such as 20250101T120000123Z
+ */
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:.]/g, '');
+}
+
+class SnapshotStore {
+  /**
+   * @param {string} directory - Root directory of the store
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Resolve the file path for a snapshot ID
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {string} Absolute file path
+   */
+  resolve(snapshotId) {
+    const match = SNAPSHOT_ID_PATTERN.exec(snapshotId || '');
+    if (!match) {
+      throw new Error(`Invalid snapshot ID: ${snapshotId}`);
+    }
+    return path.join(this.directory, match[1], `${match[2]}.json`);
+  }
+
+  /**
+   * Save a snapshot of a workflow
+   * @param {Object} workflow - FlowHeader fetched with includedetails=true
+   * @param {string} reason - Operation that triggered the snapshot
+   * @param {Object} [extra] - Related state to keep with the workflow
+   * @param {Array<Object>} [extra.ticketTypeBindings] - Ticket types about to be rebound, with their current workflow
+   * @returns {Promise<Object>} Snapshot metadata
+   */
+  async save(workflow, reason, { ticketTypeBindings = [] } = {}) {
+    const takenAt = new Date();
+    const snapshotId = `${workflow.id}_${formatTimestamp(takenAt)}_${crypto.randomBytes(3).toString('hex')}`;
+    const filePath = this.resolve(snapshotId);
+
+    const snapshot = {
+      snapshotId,
+      workflowId: workflow.id,
+      name: workflow.name ?? null,
+      reason,
+      takenAt: takenAt.toISOString(),
+      ticketTypeBindings,
+      workflow
+    };
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(snapshot, null, 2));
+    return this.describe(snapshot);
+  }
+
+  /**
+   * Load a snapshot including the stored workflow
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Promise<Object>} Snapshot
+   */
+  async load(snapshotId) {
+    try {
+      return JSON.parse(await fs.readFile(this.resolve(snapshotId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Snapshot ${snapshotId} not found`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List snapshots, newest first
+   * @param {number} [workflowId] - Only list snapshots of this workflow
+   * @returns {Promise<Array<Object>>} Snapshot metadata
+   */
+  async list(workflowId) {
+    let workflowDirs;
+    try {
+      workflowDirs = workflowId !== undefined
+        ? [String(workflowId)]
+        : await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const snapshots = [];
+    for (const dir of workflowDirs) {
+      let files;
+      try {
+        files = await fs.readdir(path.join(this.directory, dir));
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') continue;
+        throw error;
+      }
+
+      for (const file of files.filter(f => f.endsWith('.json'))) {
+        const snapshotId = `${dir}_${path.basename(file, '.json')}`;
+        if (!SNAPSHOT_ID_PATTERN.test(snapshotId)) continue;
+        snapshots.push(this.describe(await this.load(snapshotId)));
+      }
+    }
+
+    return snapshots.sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+  }
+
+  /**
+   * Find when each workflow was last snapshotted, i.e. last changed through this server
+   * Reads the store once; changes made directly in HaloPSA leave no snapshot.
+   * @returns {Promise<Map<number, string>>} Newest snapshot time per workflow ID
+   */
+  async lastChangedByWorkflow() {
+    const lastChanged = new Map();
+    for (const snapshot of await this.list()) {
+      if (!lastChanged.has(snapshot.workflowId)) {
+        lastChanged.set(snapshot.workflowId, snapshot.takenAt);
+      }
+    }
+    return lastChanged;
+  }
+
+  /**
+   * Reduce a snapshot to its metadata
+   * @param {Object} snapshot - Stored snapshot
+   * @returns {Object} Snapshot metadata
+   */
+  describe(snapshot) {
+    return {
+      snapshotId: snapshot.snapshotId,
+      workflowId: snapshot.workflowId,
+      name: snapshot.name,
+      reason: snapshot.reason,
+      takenAt: snapshot.takenAt,
+      steps: (snapshot.workflow?.steps || []).length,
+      ticketTypeBindings: snapshot.ticketTypeBindings || []
+    };
+  }
+}
+
+// Create singleton instance
+const snapshots = new SnapshotStore(config.paths.snapshots);
+
+export { SnapshotStore };
+export default snapshots;
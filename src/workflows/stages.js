@@ -0,0 +1,203 @@
+/**
+ * Workflow Stages
+ * Edits to the stages (FlowStages) of a single workflow
+ *
+ * Steps belong to a stage through FlowDetail.stage_number, which holds the stage's
+ * sequence. Whenever stages are added, removed or reordered the sequences are
+ * renumbered from 1 and every step's stage_number is rewritten to match.
+ */
+import { findStep } from './editor.js';
+import { hasStepRef } from './graph.js';
+
+/**
+ * Stages of a workflow in sequence order
+ * @param {Object} workflow - FlowHeader
+ * @returns {Array<Object>} Stages sorted by sequence
+ */
+function sortedStages(workflow) {
+  return [...(workflow.stages || [])].sort((a, b) => (a.sequence ?? 0) - (b.sequence ?? 0));
+}
+
+/**
+ * Find a stage by sequence or name
+ * @param {Object} workflow - FlowHeader with stages
+ * @param {number|string} ref - Stage sequence, or its name
+ * @returns {Object} The stage
+ */
+export function findStage(workflow, ref) {
+  const stages = workflow.stages || [];
+  const stage = typeof ref === 'number'
+    ? stages.find(s => s.sequence === ref)
+    : stages.find(s => String(s.name ?? '').toLowerCase() === String(ref).toLowerCase());
+  if (!stage) {
+    throw new Error(`Workflow has no stage ${typeof ref === 'number' ? ref : `"${ref}"`}`);
+  }
+  return stage;
+}
+
+/**
+ * Describe the stages of a workflow with the steps in each
+ * @param {Object} workflow - FlowHeader with steps and stages
+ * @returns {Object} Stages in order and the steps that are not in any stage
+ */
+export function describeStages(workflow) {
+  const steps = workflow.steps || [];
+  const names = new Map(steps.map(step => [step.step_id, step.name]));
+  const stages = sortedStages(workflow);
+  const sequences = new Set(stages.map(stage => stage.sequence));
+  const stepSummary = step => ({ step_id: step.step_id, name: step.name ?? null });
+
+  return {
+    stages: stages.map(stage => ({
+      sequence: stage.sequence,
+      name: stage.name ?? null,
+      outcome_step: hasStepRef(stage.outcome_step) ? stage.outcome_step : null,
+      outcome_step_name: hasStepRef(stage.outcome_step) ? names.get(stage.outcome_step) ?? null : null,
+      steps: steps.filter(step => step.stage_number === stage.sequence).map(stepSummary)
+    })),
+    unassigned: steps.filter(step => !sequences.has(step.stage_number)).map(stepSummary)
+  };
+}
+
+/**
+ * Renumber stages in the given order and rewrite the steps' stage numbers
+ * Steps whose stage is no longer listed are taken out of any stage.
+ * @param {Object} workflow - Copy of the workflow to change in place
+ * @param {Array<Object>} ordered - Stages of the copy in their new order
+ */
+function resequence(workflow, ordered) {
+  const renumber = new Map();
+  ordered.forEach((stage, index) => {
+    if (stage.sequence !== undefined && stage.sequence !== null) {
+      renumber.set(stage.sequence, index + 1);
+    }
+  });
+  const known = new Set((workflow.stages || []).map(stage => stage.sequence));
+
+  for (const step of workflow.steps || []) {
+    if (renumber.has(step.stage_number)) {
+      step.stage_number = renumber.get(step.stage_number);
+    } else if (known.has(step.stage_number)) {
+      step.stage_number = null;
+    }
+  }
+
+  ordered.forEach((stage, index) => {
+    stage.sequence = index + 1;
+  });
+  workflow.stages = ordered;
+}
+
+/**
+ * Resolve a stage outcome to a step ID
+ * @param {Object} workflow - FlowHeader with steps
+ * @param {number|string|null} outcome - step_id or name of the outcome step
+ * @returns {number|null} step_id
+ */
+function outcomeStep(workflow, outcome) {
+  return outcome === undefined || outcome === null ? null : findStep(workflow, outcome).step_id;
+}
+
+/**
+ * Add a stage
+ * @param {Object} workflow - FlowHeader
+ * @param {Object} options - Stage details
+ * @param {string} options.name - Stage name
+ * @param {number|string} [options.outcome] - Outcome step (step_id or name)
+ * @param {number} [options.position] - 1-based position (defaults to the end)
+ * @returns {Object} Edited workflow and the added stage
+ */
+export function addStage(workflow, { name, outcome, position }) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('The new stage needs a name');
+  }
+  const copy = structuredClone(workflow);
+  const ordered = sortedStages(copy);
+  if (ordered.some(stage => String(stage.name).toLowerCase() === name.toLowerCase())) {
+    throw new Error(`Workflow already has a stage named "${name}"`);
+  }
+
+  const stage = { name, outcome_step: outcomeStep(copy, outcome) };
+  const index = position === undefined ? ordered.length : Math.min(Math.max(position, 1), ordered.length + 1) - 1;
+  ordered.splice(index, 0, stage);
+  resequence(copy, ordered);
+  return { workflow: copy, stage };
+}
+
+/**
+ * Rename a stage or change its outcome step
+ * @param {Object} workflow - FlowHeader
+ * @param {number|string} ref - Stage sequence or name
+ * @param {Object} changes - New name and/or outcome (null clears the outcome)
+ * @returns {Object} Edited workflow and the changed stage
+ */
+export function updateStage(workflow, ref, { name, outcome }) {
+  const copy = structuredClone(workflow);
+  const stage = findStage(copy, ref);
+  if (name !== undefined) {
+    if (copy.stages.some(other => other !== stage && String(other.name).toLowerCase() === String(name).toLowerCase())) {
+      throw new Error(`Workflow already has a stage named "${name}"`);
+    }
+    stage.name = name;
+  }
+  if (outcome !== undefined) {
+    stage.outcome_step = outcomeStep(copy, outcome);
+  }
+  return { workflow: copy, stage };
+}
+
+/**
+ * Remove a stage
+ * @param {Object} workflow - FlowHeader
+ * @param {number|string} ref - Stage sequence or name
+ * @param {number|string} [moveStepsTo] - Stage to move the removed stage's steps to (otherwise they leave any stage)
+ * @returns {Object} Edited workflow, the removed stage and the steps that were in it
+ */
+export function removeStage(workflow, ref, moveStepsTo) {
+  const copy = structuredClone(workflow);
+  const stage = findStage(copy, ref);
+  const target = moveStepsTo === undefined ? null : findStage(copy, moveStepsTo);
+  if (target === stage) {
+    throw new Error('Steps cannot be moved to the stage being removed');
+  }
+
+  const moved = (copy.steps || []).filter(step => step.stage_number === stage.sequence);
+  for (const step of moved) {
+    step.stage_number = target ? target.sequence : null;
+  }
+  resequence(copy, sortedStages(copy).filter(other => other !== stage));
+  return { workflow: copy, stage, steps: moved.map(step => step.name) };
+}
+
+/**
+ * Put stages in a new order
+ * @param {Object} workflow - FlowHeader
+ * @param {Array<number|string>} order - Every stage (sequence or name) in the new order
+ * @returns {Object} Edited workflow
+ */
+export function reorderStages(workflow, order) {
+  const copy = structuredClone(workflow);
+  const ordered = order.map(ref => findStage(copy, ref));
+  if (new Set(ordered).size !== ordered.length || ordered.length !== (copy.stages || []).length) {
+    throw new Error(`List every stage exactly once (${sortedStages(copy).map(stage => stage.name).join(', ')})`);
+  }
+  resequence(copy, ordered);
+  return { workflow: copy, order: ordered.map(stage => stage.name) };
+}
+
+/**
+ * Assign steps to a stage
+ * @param {Object} workflow - FlowHeader
+ * @param {number|string|null} stageRef - Stage sequence or name, or null to take the steps out of any stage
+ * @param {Array<number|string>} stepRefs - Steps (step_id or name)
+ * @returns {Object} Edited workflow
+ */
+export function assignStepsToStage(workflow, stageRef, stepRefs) {
+  const copy = structuredClone(workflow);
+  const stage = stageRef === null ? null : findStage(copy, stageRef);
+  const steps = stepRefs.map(ref => findStep(copy, ref));
+  for (const step of steps) {
+    step.stage_number = stage ? stage.sequence : null;
+  }
+  return { workflow: copy, stage: stage?.name ?? null, steps: steps.map(step => step.name) };
+}
@@ -0,0 +1,135 @@
+/**
+ * Stuck Tickets
+ * Finds open tickets that have stayed on a workflow step longer than its time limit
+ *
+ * A step's time limit is the shortest time_limit_mins of its transitions: when it
+ * expires HaloPSA fires that transition's time-limit action, so a ticket still on
+ * the step afterwards is stuck. Time in step is measured from the ticket's
+ * workflow_stepstarted date, in calendar time, so limits that count working hours
+ * are only checked when asked for.
+ */
+import { findTimeLimitTransition } from './graph.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Format a number of minutes as days, hours and minutes
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} e.g. "2d 3h 5m"
+ */
+export function formatDuration(minutes) {
+  const total = Math.max(0, Math.floor(minutes));
+  const days = Math.floor(total / (24 * 60));
+  const hours = Math.floor((total % (24 * 60)) / 60);
+  const mins = total % 60;
+  const parts = [];
+  if (days > 0) parts.push(`${days}d`);
+  if (hours > 0) parts.push(`${hours}h`);
+  if (mins > 0 || parts.length === 0) parts.push(`${mins}m`);
+  return parts.join(' ');
+}
+
+/**
+ * Get the time limits of each step of a workflow
+ * A step can have several time-limited transitions, some counting working hours and
+ * some calendar time, so every limit is kept.
+ * @param {Object} workflow - FlowHeader with steps
+ * @returns {Map<number, Array<Object>>} Time limits by step_id, shortest first ({ limitMins, action, useWorkHours })
+ */
+export function getStepTimeLimits(workflow) {
+  const limits = new Map();
+  for (const step of workflow.steps || []) {
+    const stepLimits = (step.actions || [])
+      .filter(action => action.time_limit_mins > 0)
+      .map(action => ({
+        limitMins: action.time_limit_mins,
+        action: findTimeLimitTransition(step, action)?.action_name ?? action.time_limit_action_name ?? null,
+        useWorkHours: Boolean(action.use_work_hours)
+      }))
+      .sort((a, b) => a.limitMins - b.limitMins);
+    if (stepLimits.length > 0) {
+      limits.set(step.step_id, stepLimits);
+    }
+  }
+  return limits;
+}
+
+/**
+ * Find open tickets that are overdue on their workflow step
+ * @param {Array<Object>} workflows - FlowHeaders fetched with includedetails=true
+ * @param {Array<Object>} tickets - Open tickets (with workflow_id, workflow_step and workflow_stepstarted)
+ * @param {Object} [options] - Options
+ * @param {number} [options.defaultLimitMins] - Limit for steps without a time limit (otherwise they are skipped)
+ * @param {boolean} [options.includeWorkHours=false] - Also check limits that count working hours
+ * @param {Date} [options.now] - Reference time
+ * @returns {Object} Overdue tickets grouped by workflow and step, most overdue first
+ */
+export function findOverdueTickets(workflows, tickets, { defaultLimitMins, includeWorkHours = false, now = new Date() } = {}) {
+  const results = [];
+  let total = 0;
+  let unknownStart = 0;
+  let workHoursSkipped = 0;
+
+  for (const workflow of workflows) {
+    const limits = getStepTimeLimits(workflow);
+    const steps = [];
+
+    for (const step of workflow.steps || []) {
+      const stepLimits = limits.get(step.step_id) ?? (defaultLimitMins > 0
+        ? [{ limitMins: defaultLimitMins, action: null, useWorkHours: false }]
+        : []);
+      const checked = includeWorkHours ? stepLimits : stepLimits.filter(limit => !limit.useWorkHours);
+      const onStep = tickets.filter(ticket => ticket.workflow_id === workflow.id && ticket.workflow_step === step.step_id);
+      if (checked.length < stepLimits.length) {
+        workHoursSkipped += onStep.length;
+      }
+      // The shortest limit is the first one a ticket can pass
+      const limit = checked[0];
+      if (!limit) continue;
+
+      const overdue = [];
+      for (const ticket of onStep) {
+        const started = new Date(ticket.workflow_stepstarted ?? NaN).getTime();
+        if (!Number.isFinite(started)) {
+          unknownStart++;
+          continue;
+        }
+        const ageMins = Math.floor((now.getTime() - started) / MINUTE_MS);
+        if (ageMins <= limit.limitMins) continue;
+        overdue.push({
+          id: ticket.id,
+          summary: ticket.summary ?? null,
+          agent: ticket.agent_name ?? null,
+          team: ticket.team ?? null,
+          stepStarted: ticket.workflow_stepstarted,
+          ageMins,
+          age: formatDuration(ageMins),
+          overdueMins: ageMins - limit.limitMins
+        });
+      }
+
+      if (overdue.length > 0) {
+        overdue.sort((a, b) => b.overdueMins - a.overdueMins);
+        total += overdue.length;
+        steps.push({
+          step_id: step.step_id,
+          name: step.name ?? null,
+          limitMins: limit.limitMins,
+          limit: formatDuration(limit.limitMins),
+          timeLimitAction: limit.action,
+          useWorkHours: limit.useWorkHours,
+          note: limit.useWorkHours
+            ? 'The limit counts working hours but ages are in calendar time, so some of these tickets may not be overdue yet'
+            : null,
+          tickets: overdue
+        });
+      }
+    }
+
+    if (steps.length > 0) {
+      results.push({ id: workflow.id, name: workflow.name ?? null, steps });
+    }
+  }
+
+  return { total, unknownStart, workHoursSkipped, workflows: results };
+}
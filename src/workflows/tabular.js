@@ -0,0 +1,50 @@
+/**
+ * Tabular Output
+ * Formats report rows as Markdown tables and CSV
+ */
+
+/**
+ * Format a cell value as text
+ * @param {*} value - Cell value
+ * @returns {string} Text
+ */
+function cellText(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Format rows as a Markdown table
+ * @param {Array<Object>} columns - Columns ({ key, label })
+ * @param {Array<Object>} rows - Rows keyed by column key
+ * @returns {string} Markdown table
+ */
+export function formatTable(columns, rows) {
+  const escape = text => cellText(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const lines = [
+    `| ${columns.map(column => escape(column.label)).join(' | ')} |`,
+    `|${columns.map(() => '---').join('|')}|`,
+    ...rows.map(row => `| ${columns.map(column => escape(row[column.key])).join(' | ')} |`)
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Format rows as CSV (RFC 4180 quoting)
+ * @param {Array<Object>} columns - Columns ({ key, label })
+ * @param {Array<Object>} rows - Rows keyed by column key
+ * @returns {string} CSV text
+ */
+export function formatCsv(columns, rows) {
+  const quote = value => {
+    const text = cellText(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [
+    columns.map(column => quote(column.label)).join(','),
+    ...rows.map(row => columns.map(column => quote(row[column.key])).join(','))
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
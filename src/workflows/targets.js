@@ -0,0 +1,120 @@
+/**
+ * Workflow Targets and Ticket Types
+ * Which ticket types use a workflow, and the workflow's time targets between steps
+ *
+ * A ticket type (RequestType, served by /TicketType) names the workflow its tickets
+ * use in workflow_id. FlowHeader.targets holds WorkflowTarget records: time targets
+ * measured from a set of start steps to a set of end steps.
+ */
+import { findStep } from './editor.js';
+
+/**
+ * Match ticket types by ID or name
+ * An exact (case-insensitive) name match wins; otherwise names containing the text match.
+ * @param {Array<Object>} ticketTypes - Ticket types from the API
+ * @param {number|string} ref - Ticket type ID or name
+ * @returns {Array<Object>} Matching ticket types
+ */
+export function matchTicketTypes(ticketTypes, ref) {
+  if (typeof ref === 'number') {
+    return ticketTypes.filter(type => type.id === ref);
+  }
+  const name = String(ref).trim().toLowerCase();
+  const exact = ticketTypes.filter(type => String(type.name ?? '').trim().toLowerCase() === name);
+  if (exact.length > 0) {
+    return exact;
+  }
+  return ticketTypes.filter(type => String(type.name ?? '').toLowerCase().includes(name));
+}
+
+/**
+ * Resolve a ticket type by ID or name to exactly one record
+ * @param {Array<Object>} ticketTypes - Ticket types from the API
+ * @param {number|string} ref - Ticket type ID or name
+ * @returns {Object} The ticket type
+ */
+export function resolveTicketType(ticketTypes, ref) {
+  const matches = matchTicketTypes(ticketTypes, ref);
+  if (matches.length === 0) {
+    throw new Error(`No ticket type ${typeof ref === 'number' ? `with ID ${ref}` : `named "${ref}"`}`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Ticket type "${ref}" matches ${matches.map(type => `"${type.name}" (${type.id})`).join(', ')} - use the ID instead`);
+  }
+  return matches[0];
+}
+
+/**
+ * Describe a ticket type's workflow binding
+ * @param {Object} ticketType - Ticket type
+ * @returns {Object} Ticket type ID and name with its workflow
+ */
+export function describeTicketType(ticketType) {
+  return {
+    id: ticketType.id,
+    name: ticketType.name ?? null,
+    workflow_id: ticketType.workflow_id ?? null,
+    workflow_name: ticketType.workflow_name ?? null,
+    apply_workflow_on_type_change: ticketType.apply_workflow_on_type_change ?? null
+  };
+}
+
+/**
+ * Find the ticket types that use a workflow
+ * @param {Array<Object>} ticketTypes - Ticket types from the API
+ * @param {number} workflowId - Workflow ID
+ * @returns {Array<Object>} Ticket type bindings
+ */
+export function findTicketTypesForWorkflow(ticketTypes, workflowId) {
+  return ticketTypes.filter(type => type.workflow_id === workflowId).map(describeTicketType);
+}
+
+/**
+ * Describe the time targets of a workflow with step names
+ * @param {Object} workflow - FlowHeader with steps and targets
+ * @returns {Array<Object>} Targets
+ */
+export function describeTargets(workflow) {
+  const names = new Map((workflow.steps || []).map(step => [step.step_id, step.name]));
+  const steps = list => (list || []).map(step => ({ step_id: step.step_id, name: names.get(step.step_id) ?? null }));
+  return (workflow.targets || []).map(target => ({
+    id: target.id ?? null,
+    name: target.name ?? null,
+    target: target.target ?? null,
+    target_units: target.target_units ?? null,
+    workday_name: target.workday_name ?? null,
+    start_steps: steps(target.start_steps),
+    end_steps: steps(target.end_steps)
+  }));
+}
+
+/**
+ * Replace the time targets of a workflow
+ * Entries in start_steps/end_steps may be step IDs, step names or WorkflowTargetStep records.
+ * @param {Object} workflow - FlowHeader with steps
+ * @param {Array<Object>} targets - WorkflowTarget records
+ * @returns {Object} Edited workflow and the new targets
+ */
+export function setTargets(workflow, targets) {
+  if (!Array.isArray(targets)) {
+    throw new Error('targets must be an array of WorkflowTarget objects');
+  }
+  const copy = structuredClone(workflow);
+  const toTargetStep = ref => {
+    if (ref && typeof ref === 'object') {
+      return { ...ref, step_id: findStep(copy, ref.step_id).step_id };
+    }
+    return { step_id: findStep(copy, ref).step_id };
+  };
+
+  copy.targets = targets.map(target => {
+    const updated = structuredClone(target);
+    for (const field of ['start_steps', 'end_steps']) {
+      if (Array.isArray(updated[field])) {
+        updated[field] = updated[field].map(toTargetStep);
+      }
+    }
+    return updated;
+  });
+  return { workflow: copy, targets: describeTargets(copy) };
+}
@@ -0,0 +1,172 @@
+/**
+ * Workflow Templates
+ * Built-in catalogue of parameterised workflow definitions written in the workflow DSL
+ *
+ * Each template in ./templates is a YAML file with an id, title, description, a list of
+ * parameters and a DSL workflow. "{{param}}" placeholders in the workflow are replaced
+ * with parameter values before it is compiled; a value that is only a placeholder keeps
+ * the parameter's type, so numbers stay numbers.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { compileWorkflow } from './dsl.js';
+
+const TEMPLATE_DIRECTORY = path.join(path.dirname(fileURLToPath(import.meta.url)), 'templates');
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}$/;
+
+/**
+ * Workflow template catalogue
+ */
+class TemplateCatalogue {
+  /**
+   * @param {string} directory - Directory holding the template YAML files
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.templates = null;
+  }
+
+  /**
+   * Load all templates (once)
+   * @returns {Promise<Map<string, Object>>} Templates by ID
+   */
+  async load() {
+    if (!this.templates) {
+      const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.yaml')).sort();
+      const templates = new Map();
+      for (const file of files) {
+        const template = YAML.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+        templates.set(template.id, template);
+      }
+      this.templates = templates;
+    }
+    return this.templates;
+  }
+
+  /**
+   * List the templates and their parameters
+   * @returns {Promise<Array<Object>>} Template descriptions
+   */
+  async list() {
+    const templates = await this.load();
+    return [...templates.values()].map(template => ({
+      id: template.id,
+      title: template.title,
+      description: template.description,
+      parameters: template.parameters || []
+    }));
+  }
+
+  /**
+   * Get a template by ID
+   * @param {string} id - Template ID
+   * @returns {Promise<Object>} Template
+   */
+  async get(id) {
+    const templates = await this.load();
+    if (!templates.has(id)) {
+      throw new Error(`Unknown workflow template "${id}" - available: ${[...templates.keys()].join(', ')}`);
+    }
+    return templates.get(id);
+  }
+
+  /**
+   * Instantiate a template into a FlowHeader payload
+   * @param {string} id - Template ID
+   * @param {Object} [values] - Parameter values (parameters with a default may be left out)
+   * @param {Object} [actionIds] - Tenant action IDs by action name, applied to the template's transitions
+   * @returns {Promise<Object>} FlowHeader payload, errors and warnings
+   */
+  async instantiate(id, values = {}, actionIds = {}) {
+    const template = await this.get(id);
+    const { resolved, errors } = resolveParameters(template.parameters || [], values);
+    if (errors.length > 0) {
+      return { workflow: null, errors, warnings: [] };
+    }
+
+    const definition = substitute(structuredClone(template.workflow), resolved);
+    for (const step of definition.steps || []) {
+      for (const transition of step.transitions || []) {
+        if (transition.actionId === undefined && actionIds[transition.action] !== undefined) {
+          transition.actionId = actionIds[transition.action];
+        }
+      }
+    }
+
+    return compileWorkflow(definition);
+  }
+}
+
+/**
+ * Check parameter values against a template's parameter list and fill in defaults
+ * @param {Array<Object>} parameters - Template parameters (name, type, default)
+ * @param {Object} values - Given values
+ * @returns {Object} Resolved values and errors
+ */
+export function resolveParameters(parameters, values) {
+  const resolved = {};
+  const errors = [];
+  const known = new Set(parameters.map(parameter => parameter.name));
+
+  for (const name of Object.keys(values)) {
+    if (!known.has(name)) {
+      errors.push(`Unknown parameter "${name}" (expected: ${[...known].join(', ')})`);
+    }
+  }
+
+  for (const parameter of parameters) {
+    let value = values[parameter.name] ?? parameter.default;
+    if (value === undefined) {
+      errors.push(`Parameter "${parameter.name}" is required`);
+      continue;
+    }
+    if (parameter.type === 'number') {
+      value = Number(value);
+      if (!Number.isFinite(value) || value <= 0) {
+        errors.push(`Parameter "${parameter.name}" must be a positive number`);
+        continue;
+      }
+    } else {
+      value = String(value).trim();
+      if (value === '') {
+        errors.push(`Parameter "${parameter.name}" must not be empty`);
+        continue;
+      }
+    }
+    resolved[parameter.name] = value;
+  }
+
+  return { resolved, errors };
+}
+
+/**
+ * Replace placeholders throughout a template definition
+ * @param {*} value - Definition (or part of it)
+ * @param {Object} values - Resolved parameter values
+ * @returns {*} Definition with placeholders replaced
+ */
+function substitute(value, values) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_PLACEHOLDER);
+    if (whole && whole[1] in values) {
+      return values[whole[1]];
+    }
+    return value.replace(PLACEHOLDER, (placeholder, name) => (name in values ? String(values[name]) : placeholder));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, values));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, values)]));
+  }
+  return value;
+}
+
+// Create singleton instance
+const templates = new TemplateCatalogue(TEMPLATE_DIRECTORY);
+
+export { TemplateCatalogue };
+export default templates;
@@ -0,0 +1,223 @@
+/**
+ * Workflow Transitions
+ * Edits to the transitions (FlowSubDetail) between the steps of a single workflow
+ *
+ * A transition belongs to the step it starts from and is identified by that step and
+ * its action. Like the step editor, every edit returns an edited copy of the workflow.
+ */
+import { findTimeLimitTransition, hasStepRef } from './graph.js';
+import { findStep } from './editor.js';
+
+// FlowSubDetail fields that can be set directly through the tools
+export const TRANSITION_FIELDS = [
+  'time_limit_mins',
+  'use_work_hours',
+  'approval_result',
+  'restrictions',
+  'conditions',
+  'automation_runbook_id',
+  'seq'
+];
+
+/**
+ * Resolve an action name or ID against the tenant's action definitions
+ * @param {Array<Object>} actions - Action definitions (TOutcome) from the API
+ * @param {number|string} ref - Action ID, or its name or button name
+ * @returns {Object} action_id and action_name for a FlowSubDetail
+ */
+export function resolveAction(actions, ref) {
+  let matches;
+  if (typeof ref === 'number') {
+    matches = actions.filter(action => action.id === ref);
+  } else {
+    const name = String(ref).trim().toLowerCase();
+    matches = actions.filter(action => String(action.outcome ?? '').trim().toLowerCase() === name);
+    if (matches.length === 0) {
+      matches = actions.filter(action => String(action.buttonname ?? '').trim().toLowerCase() === name);
+    }
+  }
+
+  if (matches.length === 0) {
+    throw new Error(`No action ${typeof ref === 'number' ? `with ID ${ref}` : `named "${ref}"`} - check the action list in HaloPSA`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Action name "${ref}" matches ${matches.length} actions (IDs ${matches.map(a => a.id).join(', ')}) - use the ID instead`);
+  }
+  return { action_id: matches[0].id, action_name: matches[0].outcome ?? matches[0].buttonname ?? null };
+}
+
+/**
+ * Check that transition fields are ones the tools manage
+ * @param {Object} fields - FlowSubDetail fields
+ */
+function checkFields(fields = {}) {
+  for (const field of Object.keys(fields)) {
+    if (!TRANSITION_FIELDS.includes(field)) {
+      throw new Error(`Field "${field}" cannot be set here (allowed: ${TRANSITION_FIELDS.join(', ')})`);
+    }
+  }
+  for (const restriction of fields.restrictions || []) {
+    if (!restriction || restriction.field_id === undefined || restriction.field_id === null) {
+      throw new Error('Each restriction needs a field_id');
+    }
+  }
+}
+
+/**
+ * Describe the transitions of a workflow
+ * @param {Object} workflow - FlowHeader with steps
+ * @returns {Array<Object>} One entry per transition, with step names resolved
+ */
+export function describeTransitions(workflow) {
+  const names = new Map((workflow.steps || []).map(step => [step.step_id, step.name]));
+  return (workflow.steps || []).flatMap(step => (step.actions || []).map(action => {
+    const to = hasStepRef(action.end_step) ? action.end_step : null;
+    return {
+      from: step.step_id,
+      from_name: step.name ?? null,
+      to,
+      to_name: to === null ? null : names.get(to) ?? null,
+      action_id: action.action_id ?? null,
+      action_name: action.action_name ?? null,
+      time_limit_mins: action.time_limit_mins ?? null,
+      use_work_hours: action.use_work_hours ?? null,
+      time_limit_action_id: action.time_limit_action_id ?? null,
+      time_limit_action_name: action.time_limit_action_name ?? null,
+      approval_result: action.approval_result ?? null,
+      restrictions: action.restrictions || [],
+      conditions: (action.conditions || []).length
+    };
+  }));
+}
+
+/**
+ * Find a transition by its source step and action
+ * @param {Object} workflow - FlowHeader with steps
+ * @param {number|string} from - step_id or name of the step the transition starts from
+ * @param {number|string} action - action_id or action_name of the transition
+ * @returns {Object} The step and the transition
+ */
+export function findTransition(workflow, from, action) {
+  const step = findStep(workflow, from);
+  const transition = (step.actions || []).find(candidate => (typeof action === 'number'
+    ? candidate.action_id === action
+    : String(candidate.action_name ?? '').toLowerCase() === String(action).toLowerCase()));
+  if (!transition) {
+    throw new Error(`Step "${step.name}" has no transition "${action}"`);
+  }
+  return { step, transition };
+}
+
+/**
+ * Set the time-limit action of a transition
+ * The action fired when the time limit expires has to be another transition of the same step.
+ * @param {Object} step - Step the transition belongs to
+ * @param {Object} transition - Transition to change
+ * @param {Object|null} timeLimitAction - Resolved action, or null to clear it
+ */
+function setTimeLimitAction(step, transition, timeLimitAction) {
+  if (timeLimitAction === null) {
+    transition.time_limit_action_id = null;
+    transition.time_limit_action_name = null;
+    return;
+  }
+  if (!(step.actions || []).some(other => other.action_id === timeLimitAction.action_id)) {
+    throw new Error(`Time-limit action "${timeLimitAction.action_name}" is not a transition of step "${step.name}" - add it first`);
+  }
+  transition.time_limit_action_id = timeLimitAction.action_id;
+  transition.time_limit_action_name = timeLimitAction.action_name;
+}
+
+/**
+ * Add a transition between two steps
+ * @param {Object} workflow - FlowHeader with steps
+ * @param {Object} options - Transition details
+ * @param {number|string} options.from - Step the transition starts from
+ * @param {number|string} [options.to] - Step it leads to (leave out to keep the ticket on its step)
+ * @param {Object} options.action - Resolved action (action_id, action_name)
+ * @param {Object} [options.timeLimitAction] - Resolved action fired when the time limit expires
+ * @param {Object} [options.fields] - Other FlowSubDetail fields (see TRANSITION_FIELDS)
+ * @returns {Object} Edited workflow and the added transition
+ */
+export function addTransition(workflow, { from, to, action, timeLimitAction, fields = {} }) {
+  checkFields(fields);
+  const copy = structuredClone(workflow);
+  const step = findStep(copy, from);
+  if ((step.actions || []).some(existing => existing.action_id === action.action_id)) {
+    throw new Error(`Step "${step.name}" already has a "${action.action_name}" transition - edit it instead`);
+  }
+
+  const transition = {
+    ...structuredClone(fields),
+    start_step: step.step_id,
+    end_step: to === undefined || to === null ? null : findStep(copy, to).step_id,
+    action_id: action.action_id,
+    action_name: action.action_name
+  };
+  step.actions = [...(step.actions || []), transition];
+  if (timeLimitAction) {
+    setTimeLimitAction(step, transition, timeLimitAction);
+  }
+  return { workflow: copy, transition };
+}
+
+/**
+ * Change a transition
+ * @param {Object} workflow - FlowHeader with steps
+ * @param {number|string} from - Step the transition starts from
+ * @param {number|string} actionRef - action_id or action_name of the transition
+ * @param {Object} changes - What to change
+ * @param {number|string|null} [changes.to] - New target step (null keeps the ticket on its step)
+ * @param {Object} [changes.action] - Resolved replacement action
+ * @param {Object|null} [changes.timeLimitAction] - Resolved time-limit action, or null to clear it
+ * @param {Object} [changes.fields] - Other FlowSubDetail fields (see TRANSITION_FIELDS)
+ * @returns {Object} Edited workflow and the changed transition
+ */
+export function updateTransition(workflow, from, actionRef, { to, action, timeLimitAction, fields = {} }) {
+  checkFields(fields);
+  const copy = structuredClone(workflow);
+  const { step, transition } = findTransition(copy, from, actionRef);
+
+  Object.assign(transition, structuredClone(fields));
+  if (to !== undefined) {
+    transition.end_step = to === null ? null : findStep(copy, to).step_id;
+  }
+  if (action) {
+    if (step.actions.some(other => other !== transition && other.action_id === action.action_id)) {
+      throw new Error(`Step "${step.name}" already has a "${action.action_name}" transition - edit it instead`);
+    }
+    const previousId = transition.action_id;
+    Object.assign(transition, action);
+    // Keep other transitions' time limits pointing at this one
+    for (const other of step.actions) {
+      if (other !== transition && previousId !== undefined && other.time_limit_action_id === previousId) {
+        other.time_limit_action_id = action.action_id;
+        other.time_limit_action_name = action.action_name;
+      }
+    }
+  }
+  if (timeLimitAction !== undefined) {
+    setTimeLimitAction(step, transition, timeLimitAction);
+  }
+  return { workflow: copy, transition };
+}
+
+/**
+ * Remove a transition
+ * A transition that another transition of the step fires when its time limit
+ * expires cannot be removed until that time limit is changed.
+ * @param {Object} workflow - FlowHeader with steps
+ * @param {number|string} from - Step the transition starts from
+ * @param {number|string} actionRef - action_id or action_name of the transition
+ * @returns {Object} Edited workflow and the removed transition
+ */
+export function removeTransition(workflow, from, actionRef) {
+  const copy = structuredClone(workflow);
+  const { step, transition } = findTransition(copy, from, actionRef);
+  const firedBy = step.actions.filter(other => other !== transition && findTimeLimitTransition(step, other) === transition);
+  if (firedBy.length > 0) {
+    throw new Error(`"${transition.action_name}" is the time-limit action of ${firedBy.map(other => `"${other.action_name}"`).join(', ')} on step "${step.name}" - change or clear those time limits first`);
+  }
+  step.actions = step.actions.filter(other => other !== transition);
+  return { workflow: copy, transition };
+}
@@ -0,0 +1,122 @@
+/**
+ * Workflow Usage
+ * Aggregates open tickets and step history per workflow for the usage report
+ */
+import { formatCsv, formatTable } from './tabular.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const USAGE_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'name', label: 'Workflow' },
+  { key: 'active', label: 'Active' },
+  { key: 'in_use', label: 'In use' },
+  { key: 'openTickets', label: 'Open tickets' },
+  { key: 'ticketsByStep', label: 'Open tickets by step' },
+  { key: 'lastActivity', label: 'Last activity' },
+  { key: 'lastChangedHere', label: 'Last changed here' },
+  { key: 'flags', label: 'Flags' }
+];
+
+/**
+ * Latest of a list of dates
+ * @param {Array<string>} dates - ISO dates (empty values are ignored)
+ * @returns {string|null} Latest date
+ */
+function latest(dates) {
+  const times = dates.filter(Boolean).map(date => new Date(date).getTime()).filter(Number.isFinite);
+  return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+/**
+ * Count open tickets of a workflow per step
+ * @param {Object} workflow - FlowHeader with steps
+ * @param {Array<Object>} tickets - Open tickets (with workflow_id and workflow_step)
+ * @returns {Array<Object>} Counts per step, busiest first
+ */
+export function countTicketsByStep(workflow, tickets) {
+  const names = new Map((workflow.steps || []).map(step => [step.step_id, step.name]));
+  const counts = new Map();
+  for (const ticket of tickets) {
+    if (ticket.workflow_id !== workflow.id) continue;
+    counts.set(ticket.workflow_step, (counts.get(ticket.workflow_step) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([stepId, count]) => ({ step_id: stepId ?? null, name: names.get(stepId) ?? null, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Summarize the most recent history entries of a workflow
+ * @param {Object} workflow - FlowHeader with workflow_history
+ * @param {number} limit - Entries to keep
+ * @returns {Array<Object>} Newest entries first, with step names
+ */
+export function recentHistory(workflow, limit) {
+  const names = new Map((workflow.steps || []).map(step => [step.step_id, step.name]));
+  return [...(workflow.workflow_history || [])]
+    .sort((a, b) => String(b.moved_date ?? '').localeCompare(String(a.moved_date ?? '')))
+    .slice(0, limit)
+    .map(entry => ({
+      ticket_id: entry.ticket_id ?? null,
+      moved_date: entry.moved_date ?? null,
+      from: names.get(entry.moved_from) ?? entry.moved_from ?? null,
+      to: names.get(entry.moved_to) ?? entry.moved_to ?? null,
+      target_met: entry.target_met ?? null
+    }));
+}
+
+/**
+ * Build the usage report
+ * @param {Array<Object>} workflows - FlowHeaders fetched with includedetails=true
+ * @param {Array<Object>} tickets - Open tickets across the tenant
+ * @param {Object} [options] - Report options
+ * @param {number} [options.unusedDays=90] - Flag active workflows without activity for this many days
+ * @param {number} [options.historyLimit=5] - History entries per workflow
+ * @param {Map<number, string>} [options.lastChanged] - When each workflow was last changed through this server
+ * @param {Date} [options.now] - Reference time
+ * @returns {Object} Report rows plus Markdown table and CSV renderings
+ */
+export function buildUsageReport(workflows, tickets, { unusedDays = 90, historyLimit = 5, lastChanged = new Map(), now = new Date() } = {}) {
+  const cutoff = now.getTime() - unusedDays * DAY_MS;
+
+  const rows = workflows.map(workflow => {
+    const openTickets = tickets.filter(ticket => ticket.workflow_id === workflow.id);
+    const byStep = countTicketsByStep(workflow, openTickets);
+    const lastActivity = latest([
+      ...(workflow.workflow_history || []).map(entry => entry.moved_date),
+      ...openTickets.map(ticket => ticket.lastactiondate)
+    ]);
+
+    const flags = [];
+    const idle = openTickets.length === 0 && (!lastActivity || new Date(lastActivity).getTime() < cutoff);
+    if (workflow.active !== false && idle) {
+      flags.push(`unused for ${unusedDays}+ days`);
+    }
+    if (workflow.active === false && openTickets.length > 0) {
+      flags.push('inactive with open tickets');
+    }
+
+    return {
+      id: workflow.id,
+      name: workflow.name ?? null,
+      active: workflow.active !== false,
+      in_use: Boolean(workflow.in_use),
+      openTickets: openTickets.length,
+      byStep,
+      ticketsByStep: byStep.map(step => `${step.name ?? `step ${step.step_id}`}: ${step.count}`),
+      lastActivity,
+      lastChangedHere: lastChanged.get(workflow.id) ?? null,
+      recentHistory: recentHistory(workflow, historyLimit),
+      flags
+    };
+  });
+
+  return {
+    generatedAt: now.toISOString(),
+    unusedDays,
+    workflows: rows,
+    table: formatTable(USAGE_COLUMNS, rows),
+    csv: formatCsv(USAGE_COLUMNS, rows)
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * Workflow Validator
+ * Checks a workflow's step/transition graph for problems that leave tickets stuck
+ */
+import { buildGraph, findReachable, hasStepRef, isTerminalStep, stepLabel } from './graph.js';
+
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+/**
+ * Validate a workflow graph
+ * @param {Object} workflow - FlowHeader with steps (FlowDetail) and their actions (FlowSubDetail)
+ * @returns {Object} Validity, counts and findings with severities
+ */
+export function validateWorkflow(workflow = {}) {
+  const findings = [];
+  const add = (severity, code, message, extra = {}) => findings.push({ severity, code, message, ...extra });
+
+  const graph = buildGraph(workflow);
+  const steps = workflow.steps || [];
+
+  if (steps.length === 0) {
+    add(SEVERITY.WARNING, 'NO_STEPS', 'Workflow has no steps');
+    return summarize(findings);
+  }
+
+  if (graph.steps.size !== steps.length) {
+    add(SEVERITY.ERROR, 'DUPLICATE_STEP_ID', 'Two or more steps share the same step_id');
+  }
+
+  if (graph.startSteps.length === 0) {
+    add(SEVERITY.ERROR, 'NO_START_STEP', 'Workflow has no start step (no step has isstart set)');
+  } else if (graph.startSteps.length > 1) {
+    add(SEVERITY.ERROR, 'MULTIPLE_START_STEPS',
+      `Workflow has ${graph.startSteps.length} start steps: ${graph.startSteps.map(stepLabel).join(', ')}`);
+  }
+
+  // Transitions pointing at steps that do not exist
+  for (const edge of graph.edges) {
+    const label = edge.transition.action_name ?? edge.transition.action_id;
+    if (!graph.steps.has(edge.from)) {
+      add(SEVERITY.ERROR, 'MISSING_TRANSITION_SOURCE',
+        `Transition "${label}" starts at step ${edge.from}, which does not exist`, { step_id: edge.from });
+    }
+    if (edge.to !== null && !graph.steps.has(edge.to)) {
+      add(SEVERITY.ERROR, 'MISSING_TRANSITION_TARGET',
+        `Transition "${label}" from step ${edge.from} points at step ${edge.to}, which does not exist`, { step_id: edge.from });
+    }
+  }
+
+  // Steps that cannot be reached from the start step
+  if (graph.startSteps.length > 0) {
+    const reachable = findReachable(graph, graph.startSteps.map(step => step.step_id));
+    for (const step of steps) {
+      if (!reachable.has(step.step_id)) {
+        add(SEVERITY.WARNING, 'UNREACHABLE_STEP',
+          `Step ${stepLabel(step)} cannot be reached from the start step`, { step_id: step.step_id });
+      }
+    }
+  }
+
+  // Steps a ticket can enter but never leave
+  for (const step of steps) {
+    if (isTerminalStep(step)) continue;
+    const exits = (graph.outgoing.get(step.step_id) || []).filter(edge => edge.to !== null && edge.to !== step.step_id);
+    if (exits.length === 0) {
+      add(SEVERITY.WARNING, 'DEAD_END_STEP',
+        `Step ${stepLabel(step)} has no transition to another step and is not an end step`, { step_id: step.step_id });
+    }
+  }
+
+  // Stage outcomes
+  for (const stage of workflow.stages || []) {
+    if (hasStepRef(stage.outcome_step) && !graph.steps.has(stage.outcome_step)) {
+      add(SEVERITY.ERROR, 'MISSING_STAGE_OUTCOME',
+        `Stage "${stage.name ?? stage.sequence}" has outcome step ${stage.outcome_step}, which does not exist`);
+    }
+  }
+
+  // Time targets measured from or to steps that do not exist
+  for (const target of workflow.targets || []) {
+    for (const field of ['start_steps', 'end_steps']) {
+      for (const targetStep of target[field] || []) {
+        if (!graph.steps.has(targetStep.step_id)) {
+          add(SEVERITY.ERROR, 'MISSING_TARGET_STEP',
+            `Target "${target.name ?? target.id}" ${field} refers to step ${targetStep.step_id}, which does not exist`);
+        }
+      }
+    }
+  }
+
+  // Steps assigned to stages that do not exist
+  const sequences = new Set((workflow.stages || []).map(stage => stage.sequence));
+  for (const step of steps) {
+    if (hasStepRef(step.stage_number) && !sequences.has(step.stage_number)) {
+      add(SEVERITY.WARNING, 'UNKNOWN_STAGE',
+        `Step ${stepLabel(step)} is assigned to stage ${step.stage_number}, which does not exist`, { step_id: step.step_id });
+    }
+  }
+
+  // Time limits must fire an action that moves the ticket somewhere
+  for (const edge of graph.edges) {
+    const { transition } = edge;
+    const label = transition.action_name ?? transition.action_id;
+    if (!(transition.time_limit_mins > 0)) continue;
+
+    if (!transition.time_limit_action_id && !transition.time_limit_action_name) {
+      add(SEVERITY.ERROR, 'TIME_LIMIT_WITHOUT_ACTION',
+        `Transition "${label}" from step ${edge.from} has a ${transition.time_limit_mins} minute time limit but no time-limit action`,
+        { step_id: edge.from });
+      continue;
+    }
+
+    // Payloads that have not been matched to tenant action IDs yet only carry the name
+    const target = (graph.outgoing.get(edge.from) || [])
+      .find(other => (transition.time_limit_action_id
+        ? other.transition.action_id === transition.time_limit_action_id
+        : other.transition.action_name === transition.time_limit_action_name));
+    if (!target || target.to === null) {
+      add(SEVERITY.ERROR, 'TIME_LIMIT_ACTION_WITHOUT_TARGET',
+        `Time-limit action "${transition.time_limit_action_name ?? transition.time_limit_action_id}" on transition "${label}" from step ${edge.from} does not lead to another step`,
+        { step_id: edge.from });
+    }
+  }
+
+  return summarize(findings);
+}
+
+/**
+ * Wrap findings with counts
+ * @param {Array<Object>} findings - Findings
+ * @returns {Object} Validation result
+ */
+function summarize(findings) {
+  const errors = findings.filter(finding => finding.severity === SEVERITY.ERROR).length;
+  return {
+    valid: errors === 0,
+    errors,
+    warnings: findings.length - errors,
+    findings
+  };
+}
+
+/**
+ * Find the validation errors an edit introduces
+ * Errors the workflow already had are left out, so existing problems do not block unrelated edits.
+ * @param {Object} before - Workflow before the edit
+ * @param {Object} after - Workflow after the edit
+ * @returns {Array<Object>} Error findings only present after the edit
+ */
+export function findNewErrors(before, after) {
+  const key = finding => `${finding.code}:${finding.message}`;
+  const existing = new Set(validateWorkflow(before).findings.map(key));
+  return validateWorkflow(after).findings
+    .filter(finding => finding.severity === SEVERITY.ERROR && !existing.has(key(finding)));
+}
@@ -0,0 +1,1282 @@
+#!/usr/bin/env node
+
+/**
+ * HaloPSA Workflow Library Tests
+ * Tests the offline workflow helpers without calling the HaloPSA API
+ */
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import apiClient from '../src/api/client.js';
+import { createToolHandler, getSessionId } from '../src/server/sessions.js';
+import tools from '../src/tools/index.js';
+import { assessActivationChange, findLinkingSteps, getActivationFields } from '../src/workflows/activation.js';
+import {
+  BUNDLE_FORMAT,
+  createBundle,
+  getBundleWorkflow,
+  readBundle,
+  resolveBundlePath,
+  writeBundle
+} from '../src/workflows/bundle.js';
+import { mergeRecordChanges, mergeWorkflowChanges, summarizeChanges } from '../src/workflows/changes.js';
+import { planClone } from '../src/workflows/clone.js';
+import { ConfirmationStore, fingerprintWorkflow } from '../src/workflows/confirmations.js';
+import {
+  assessWorkflowDeletion,
+  attachSteps,
+  buildDependencyGraph,
+  findWorkflowCycles
+} from '../src/workflows/dependencies.js';
+import { renderDot, renderMermaid } from '../src/workflows/diagram.js';
+import { diffWorkflows } from '../src/workflows/diff.js';
+import { buildProcedure, renderProcedureHtml, renderProcedureMarkdown } from '../src/workflows/documentation.js';
+import { compileWorkflowDsl, decompileWorkflowDsl } from '../src/workflows/dsl.js';
+import { addStep, describeSteps, removeStep, updateStep } from '../src/workflows/editor.js';
+import {
+  importBundle,
+  orderForCreation,
+  planImport,
+  remapActions,
+  resolveStepReferences
+} from '../src/workflows/importer.js';
+import { buildMetricsReport, computeWorkflowMetrics } from '../src/workflows/metrics.js';
+import { planTicketMove } from '../src/workflows/movement.js';
+import { remapStepIds, toCreatePayload } from '../src/workflows/portable.js';
+import { buildCreatePreview, buildDeletePreview } from '../src/workflows/preview.js';
+import { searchWorkflows } from '../src/workflows/search.js';
+import { simulateWorkflow } from '../src/workflows/simulator.js';
+import snapshots, { SnapshotStore } from '../src/workflows/snapshots.js';
+import {
+  addStage,
+  assignStepsToStage,
+  describeStages,
+  removeStage,
+  reorderStages,
+  updateStage
+} from '../src/workflows/stages.js';
+import { findOverdueTickets, formatDuration, getStepTimeLimits } from '../src/workflows/stuck.js';
+import {
+  describeTargets,
+  findTicketTypesForWorkflow,
+  matchTicketTypes,
+  resolveTicketType,
+  setTargets
+} from '../src/workflows/targets.js';
+import templates from '../src/workflows/templates.js';
+import {
+  addTransition,
+  describeTransitions,
+  removeTransition,
+  resolveAction,
+  updateTransition
+} from '../src/workflows/transitions.js';
+import { buildUsageReport, countTicketsByStep } from '../src/workflows/usage.js';
+import { findNewErrors, validateWorkflow } from '../src/workflows/validator.js';
+
+/**
+ * Sample FlowHeader used across tests
+ */
+const sampleWorkflow = {
+  id: 10,
+  name: 'Sample Workflow',
+  active: true,
+  in_use: true,
+  steps: [
+    { step_id: 1, name: 'New', isstart: true, actions: [{ start_step: 1, end_step: 2, action_id: 5, action_name: 'Assign' }] },
+    { step_id: 2, name: 'Assigned', actions: [{ start_step: 2, end_step: 3, action_id: 6, action_name: 'Close' }] },
+    { step_id: 3, name: 'Closed', isend: true, actions: [] }
+  ],
+  stages: [],
+  targets: [{ id: 3, name: 'Incident' }]
+};
+
+const tests = [];
+
+tests.push(['Merge and summarize changes', () => {
+  const after = mergeWorkflowChanges(sampleWorkflow, { id: 99, name: 'Renamed' });
+  assert.strictEqual(after.id, 10);
+  assert.deepStrictEqual(summarizeChanges(sampleWorkflow, after, ['name', 'active']), [
+    { field: 'name', before: 'Sample Workflow', after: 'Renamed' }
+  ]);
+  assert.deepStrictEqual(mergeRecordChanges({ id: 3, name: 'Incident', workflow_id: 10 }, { id: 4, workflow_id: 12 }), {
+    id: 3,
+    name: 'Incident',
+    workflow_id: 12
+  });
+}]);
+
+tests.push(['Rebinding ticket types snapshots their previous workflow', async () => {
+  const targetsTool = tools.find(tool => tool.name === 'setWorkflowTargets');
+  const updates = [];
+  const api = {
+    getTicketTypes: async () => [
+      { id: 3, name: 'Incident', workflow_id: 7, workflow_name: 'Old Workflow' },
+      { id: 4, name: 'Problem', workflow_id: 10 }
+    ],
+    getWorkflow: async () => structuredClone(sampleWorkflow),
+    updateTicketType: async (id, changes) => {
+      updates.push([id, changes]);
+    }
+  };
+  const original = Object.fromEntries(Object.keys(api).map(name => [name, apiClient[name]]));
+  const originalSave = snapshots.save;
+  const saved = [];
+  Object.assign(apiClient, api);
+  snapshots.save = async (workflow, reason, extra) => {
+    saved.push({ workflowId: workflow.id, reason, extra });
+    return { snapshotId: '10_test' };
+  };
+  try {
+    const result = await targetsTool.handler({ id: 10, ticketTypes: ['Incident', 'Problem'], dryRun: false });
+    assert.strictEqual(result.snapshotId, '10_test');
+    assert.deepStrictEqual(saved.map(snapshot => [snapshot.workflowId, snapshot.reason]), [[10, 'setWorkflowTargets']]);
+    assert.deepStrictEqual(saved[0].extra.ticketTypeBindings.map(type => [type.id, type.workflow_id]), [[3, 7]]);
+    assert.deepStrictEqual(updates, [[3, { workflow_id: 10 }]]);
+    assert.deepStrictEqual(result.ticketTypes.map(type => type.status), ['bound', 'unchanged']);
+
+    saved.length = 0;
+    await targetsTool.handler({ id: 10, ticketTypes: ['Incident'], dryRun: true });
+    assert.deepStrictEqual(saved, []);
+  } finally {
+    Object.assign(apiClient, original);
+    snapshots.save = originalSave;
+  }
+}]);
+
+tests.push(['Delete preview flags in-use workflows', () => {
+  const preview = buildDeletePreview(sampleWorkflow);
+  assert.strictEqual(preview.dryRun, true);
+  assert.strictEqual(preview.wouldDelete.steps, 3);
+  assert.strictEqual(preview.warnings.length, 2);
+}]);
+
+tests.push(['Create preview validates payload', () => {
+  assert.strictEqual(buildCreatePreview([sampleWorkflow]).valid, true);
+  const preview = buildCreatePreview([{ steps: 'bad' }]);
+  assert.strictEqual(preview.valid, false);
+  assert.strictEqual(preview.errors.length, 2);
+}]);
+
+tests.push(['Confirmation tokens are single-use and session-bound', () => {
+  const store = new ConfirmationStore();
+  const expected = {
+    sessionId: 'session-a',
+    operation: 'deleteWorkflow',
+    targetId: 10,
+    fingerprint: fingerprintWorkflow(sampleWorkflow)
+  };
+
+  const { token } = store.issue({ ...expected, ttlSeconds: 60 });
+  assert.match(store.redeem(token, { ...expected, sessionId: 'session-b' }), /different session/);
+
+  const second = store.issue({ ...expected, ttlSeconds: 60 });
+  assert.strictEqual(store.redeem(second.token, expected), null);
+  assert.match(store.redeem(second.token, expected), /unknown or has expired/);
+}]);
+
+tests.push(['Confirmation tokens from one client session are rejected in another', async () => {
+  const deleteTool = tools.find(tool => tool.name === 'deleteWorkflow');
+  const logger = { error: () => {} };
+  const sessionA = { server: {} };
+  const sessionB = { server: {} };
+  assert.strictEqual(getSessionId(sessionA), getSessionId(sessionA));
+  assert.notStrictEqual(getSessionId(sessionA), getSessionId(sessionB));
+  assert.strictEqual(getSessionId({ server: { transport: { sessionId: 'http-1' } } }), 'http-1');
+
+  // Serve the workflow locally instead of calling HaloPSA
+  const api = {
+    getWorkflow: async () => structuredClone(sampleWorkflow),
+    getWorkflows: async () => [{ id: 10, name: 'Sample Workflow' }],
+    getTicketTypes: async () => [],
+    deleteWorkflow: async () => assert.fail('Workflow must not be deleted')
+  };
+  const original = Object.fromEntries(Object.keys(api).map(name => [name, apiClient[name]]));
+  Object.assign(apiClient, api);
+  try {
+    const issued = await createToolHandler(deleteTool, sessionA, logger)({ id: 10, dryRun: false });
+    assert.strictEqual(issued.confirmationRequired, true);
+    const redeemed = await createToolHandler(deleteTool, sessionB, logger)({
+      id: 10,
+      dryRun: false,
+      confirmationToken: issued.confirmationToken
+    });
+    assert.match(redeemed.error, /different session/);
+  } finally {
+    Object.assign(apiClient, original);
+  }
+}]);
+
+tests.push(['Deletion checks dependencies once and warns when the check fails', async () => {
+  const deleteTool = tools.find(tool => tool.name === 'deleteWorkflow');
+  const linking = { id: 20, name: 'Escalation', steps: [{ step_id: 1, name: 'Hand over', new_flow_id: 10, actions: [] }] };
+  const calls = { getWorkflows: 0, deleteWorkflow: 0 };
+  const api = {
+    getWorkflow: async (id) => structuredClone(id === 20 ? linking : sampleWorkflow),
+    getWorkflows: async () => {
+      calls.getWorkflows++;
+      return [{ id: 10, name: 'Sample Workflow' }, { id: 20, name: 'Escalation' }];
+    },
+    getTicketTypes: async () => {
+      throw new Error('TicketType is not available');
+    },
+    deleteWorkflow: async () => {
+      calls.deleteWorkflow++;
+    }
+  };
+  const original = Object.fromEntries(Object.keys(api).map(name => [name, apiClient[name]]));
+  const originalSave = snapshots.save;
+  Object.assign(apiClient, api);
+  snapshots.save = async () => ({ snapshotId: '10_test' });
+  try {
+    const issued = await deleteTool.handler({ id: 10, dryRun: false }, { sessionId: 'session-a' });
+    assert.strictEqual(issued.confirmationRequired, true);
+    assert.deepStrictEqual(issued.dependents.map(dependent => dependent.id), [20]);
+    assert.ok(issued.warnings.some(warning => warning.includes('Could not check which ticket types use workflow 10')));
+
+    const deleted = await deleteTool.handler(
+      { id: 10, dryRun: false, confirmationToken: issued.confirmationToken },
+      { sessionId: 'session-a' }
+    );
+    assert.strictEqual(deleted.success, true);
+    assert.deepStrictEqual(deleted.dependents.map(dependent => dependent.id), [20]);
+    assert.deepStrictEqual(calls, { getWorkflows: 1, deleteWorkflow: 1 });
+  } finally {
+    Object.assign(apiClient, original);
+    snapshots.save = originalSave;
+  }
+}]);
+
+tests.push(['Confirmation tokens are rejected when the workflow changed', () => {
+  const store = new ConfirmationStore();
+  const expected = {
+    sessionId: 'session-a',
+    operation: 'deleteWorkflow',
+    targetId: 10,
+    fingerprint: fingerprintWorkflow(sampleWorkflow)
+  };
+
+  const { token } = store.issue({ ...expected, ttlSeconds: 60 });
+  const changed = fingerprintWorkflow({ ...sampleWorkflow, name: 'Changed' });
+  assert.match(store.redeem(token, { ...expected, fingerprint: changed }), /has changed/);
+
+  const expired = store.issue({ ...expected, ttlSeconds: 0 });
+  assert.match(store.redeem(expired.token, expected), /expired/);
+}]);
+
+tests.push(['Create payload strips server IDs and remaps steps', () => {
+  const stored = {
+    ...sampleWorkflow,
+    guid: 'abc',
+    steps: sampleWorkflow.steps.map(step => ({
+      ...step,
+      step_id: step.step_id + 40,
+      fdid: step.step_id + 900,
+      actions: step.actions.map(action => ({
+        ...action,
+        id: 7,
+        start_step: action.start_step + 40,
+        end_step: action.end_step + 40
+      }))
+    })),
+    stages: [{ id: 4, sequence: 1, name: 'Done', outcome_step: 43 }]
+  };
+
+  const payload = toCreatePayload(stored, { name: 'Restored' });
+  assert.strictEqual(payload.id, undefined);
+  assert.strictEqual(payload.guid, undefined);
+  assert.strictEqual(payload.name, 'Restored');
+  assert.deepStrictEqual(payload.steps.map(step => step.step_id), [1, 2, 3]);
+  assert.strictEqual(payload.steps[0].fdid, undefined);
+  assert.deepStrictEqual(payload.steps[0].actions[0], { start_step: 1, end_step: 2, action_id: 5, action_name: 'Assign' });
+  assert.strictEqual(payload.stages[0].outcome_step, 3);
+  assert.deepStrictEqual(remapStepIds(stored).stepIdMap, { 41: 1, 42: 2, 43: 3 });
+}]);
+
+tests.push(['Clone takes the new name and is inactive by default', () => {
+  const existing = [{ id: 10, name: 'Sample Workflow', active: true }];
+  const { payload, collision, errors } = planClone({ ...sampleWorkflow, active: true }, existing, { name: 'Sample Workflow v2' });
+  assert.strictEqual(payload.name, 'Sample Workflow v2');
+  assert.strictEqual(payload.active, false);
+  assert.strictEqual(payload.id, undefined);
+  assert.deepStrictEqual(payload.steps.map(step => step.name), ['New', 'Assigned', 'Closed']);
+  assert.strictEqual(collision, null);
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(sampleWorkflow.name, 'Sample Workflow');
+
+  assert.strictEqual(planClone(sampleWorkflow, existing, { name: 'Live copy', active: true }).payload.active, true);
+}]);
+
+tests.push(['Clone is refused when the name is taken, in a dry run too', async () => {
+  const existing = [{ id: 10, name: 'Sample Workflow' }, { id: 11, name: 'Old Copy', active: false }];
+  assert.strictEqual(planClone(sampleWorkflow, existing, { name: ' old copy ' }).collision.id, 11);
+
+  const cloneTool = tools.find(tool => tool.name === 'cloneWorkflow');
+  const api = {
+    getWorkflow: async () => structuredClone(sampleWorkflow),
+    getWorkflows: async () => existing,
+    createWorkflows: async () => assert.fail('Clone must not be created')
+  };
+  const original = Object.fromEntries(Object.keys(api).map(name => [name, apiClient[name]]));
+  Object.assign(apiClient, api);
+  try {
+    for (const dryRun of [true, false]) {
+      const result = await cloneTool.handler({ id: 10, name: 'OLD COPY', dryRun });
+      assert.strictEqual(result.error, 'A workflow named "Old Copy" already exists (ID 11)');
+    }
+    const preview = await cloneTool.handler({ id: 10, name: 'New Copy', dryRun: true });
+    assert.strictEqual(preview.operation, 'cloneWorkflow');
+  } finally {
+    Object.assign(apiClient, original);
+  }
+}]);
+
+tests.push(['Bundle files stay inside the bundle directory and are not overwritten by default', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'halopsa-bundles-'));
+  try {
+    assert.strictEqual(resolveBundlePath(directory, 'team/bundle.json'), path.join(directory, 'team', 'bundle.json'));
+    assert.throws(() => resolveBundlePath(directory, '/etc/passwd'), /relative to the bundle directory/);
+    assert.throws(() => resolveBundlePath(directory, 'team/../../outside.json'), /must not contain "\.\."/);
+    assert.throws(() => resolveBundlePath(directory, '.'), /inside the bundle directory/);
+
+    const bundle = createBundle([sampleWorkflow]);
+    const filePath = resolveBundlePath(directory, 'team/bundle.json');
+    await writeBundle(bundle, filePath);
+    await assert.rejects(writeBundle(bundle, filePath), /already exists - pass overwrite/);
+    await writeBundle({ ...bundle, workflows: [] }, filePath, { overwrite: true });
+    assert.deepStrictEqual((await readBundle(filePath)).workflows, []);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}]);
+
+tests.push(['Bundle tools refuse files outside the bundle directory', async () => {
+  const call = (name, params) => tools.find(tool => tool.name === name).handler(params);
+  assert.match((await call('importWorkflows', { path: '/etc/passwd' })).error, /relative to the bundle directory/);
+  assert.match((await call('importWorkflows', { path: '../secrets.json' })).error, /must not contain/);
+  assert.match((await call('diffWorkflows', { leftId: 10, bundlePath: '/etc/passwd' })).error, /relative to the bundle directory/);
+  assert.match((await call('simulateWorkflow', { bundlePath: 'bundles/../../secrets.json' })).error, /must not contain/);
+}]);
+
+tests.push(['Snapshot store saves, lists and loads snapshots', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'halopsa-snapshots-'));
+  try {
+    const store = new SnapshotStore(directory);
+    const saved = await store.save(sampleWorkflow, 'deleteWorkflow');
+    assert.match(saved.snapshotId, /^10_\d{8}T\d{9}Z_[0-9a-f]{6}$/);
+
+    const listed = await store.list();
+    assert.strictEqual(listed.length, 1);
+    assert.strictEqual(listed[0].steps, 3);
+    assert.deepStrictEqual(await store.list(99), []);
+    assert.deepStrictEqual(await store.lastChangedByWorkflow(), new Map([[10, saved.takenAt]]));
+    assert.deepStrictEqual(listed[0].ticketTypeBindings, []);
+
+    const binding = { id: 3, name: 'Incident', workflow_id: 7 };
+    const rebound = await store.save(sampleWorkflow, 'setWorkflowTargets', { ticketTypeBindings: [binding] });
+    assert.deepStrictEqual((await store.load(rebound.snapshotId)).ticketTypeBindings, [binding]);
+
+    const loaded = await store.load(saved.snapshotId);
+    assert.deepStrictEqual(loaded.workflow, sampleWorkflow);
+    assert.throws(() => store.resolve('../../etc/passwd'), /Invalid snapshot ID/);
+    assert.strictEqual(store.resolve('10_20250101T120000000Z'), path.join(directory, '10', '20250101T120000000Z.json'));
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}]);
+
+tests.push(['Snapshots taken in the same millisecond do not overwrite each other', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'halopsa-snapshots-'));
+  try {
+    const store = new SnapshotStore(directory);
+    const saved = await Promise.all([
+      store.save(sampleWorkflow, 'updateWorkflow'),
+      store.save(sampleWorkflow, 'updateWorkflow'),
+      store.save(sampleWorkflow, 'updateWorkflow')
+    ]);
+    assert.strictEqual(new Set(saved.map(snapshot => snapshot.snapshotId)).size, 3);
+    assert.strictEqual((await store.list(10)).length, 3);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}]);
+
+tests.push(['Bundle strips tenant IDs and links bundled workflows', () => {
+  const parent = {
+    ...sampleWorkflow,
+    steps: [
+      { ...sampleWorkflow.steps[0], fdid: 501, flow_id: 10, new_flow_id: 11 },
+      { ...sampleWorkflow.steps[1], fdid: 502, flow_id: 10, new_flow_id: 77 },
+      sampleWorkflow.steps[2]
+    ]
+  };
+  const child = { id: 11, name: 'Sample Workflow', guid: 'child-guid', steps: [] };
+
+  const bundle = createBundle([parent, child], { tenant: 'sandbox' });
+  assert.strictEqual(bundle.format, BUNDLE_FORMAT);
+  assert.deepStrictEqual(bundle.workflows.map(entry => entry.key), ['sample-workflow', 'sample-workflow-2']);
+  assert.strictEqual(bundle.manifest.workflows[0].transitions, 2);
+
+  const [first, second] = bundle.workflows[0].definition.steps;
+  assert.strictEqual(first.fdid, undefined);
+  assert.strictEqual(first.flow_id, undefined);
+  assert.strictEqual(first.new_flow_id, null);
+  assert.strictEqual(second.new_flow_id, 77);
+  assert.strictEqual(bundle.workflows[1].definition.guid, undefined);
+  assert.deepStrictEqual(bundle.manifest.references, [
+    { workflow: 'sample-workflow', step_id: 1, field: 'new_flow_id', target: 'sample-workflow-2' }
+  ]);
+  assert.deepStrictEqual(bundle.manifest.externalReferences, [
+    { workflow: 'sample-workflow', step_id: 2, field: 'new_flow_id', targetId: 77 }
+  ]);
+}]);
+
+tests.push(['Import resolves step references', () => {
+  const definition = {
+    name: 'Imported',
+    steps: [
+      { step_id: 1, name: 'New', actions: [
+        { end_step: 2, action_id: 5, action_name: 'Assign' },
+        { end_step: 9, action_id: 6, action_name: 'Escalate', time_limit_action_id: 99, time_limit_action_name: 'Assign' }
+      ] },
+      { step_id: 2, name: 'Assigned', actions: [] }
+    ],
+    stages: [{ sequence: 1, name: 'Done', outcome_step: 4 }]
+  };
+
+  const { definition: resolved, errors } = resolveStepReferences(definition);
+  assert.strictEqual(resolved.steps[0].actions[0].start_step, 1);
+  assert.strictEqual(resolved.steps[0].actions[1].time_limit_action_id, 5);
+  assert.strictEqual(errors.length, 2);
+}]);
+
+tests.push(['Import plan handles name collisions', () => {
+  const bundle = createBundle([sampleWorkflow, { id: 11, name: 'Other', steps: [] }]);
+  const existing = [{ id: 50, name: 'sample workflow' }, { id: 51, name: 'Sample Workflow (imported)' }];
+
+  const [renamed, created] = planImport(bundle, existing, 'rename');
+  assert.strictEqual(renamed.action, 'rename');
+  assert.strictEqual(renamed.targetName, 'Sample Workflow (imported 2)');
+  assert.strictEqual(created.action, 'create');
+  assert.strictEqual(planImport(bundle, existing, 'skip')[0].action, 'skip');
+  assert.strictEqual(planImport(bundle, existing, 'overwrite')[0].existingId, 50);
+  assert.deepStrictEqual(planImport(bundle, existing, 'skip', ['other']).map(item => item.key), ['other']);
+}]);
+
+tests.push(['Import orders referenced workflows first and links cycles afterwards', async () => {
+  const a = { id: 1, name: 'A', steps: [{ step_id: 1, name: 'Start', new_flow_id: 2, actions: [] }] };
+  const b = { id: 2, name: 'B', steps: [{ step_id: 1, name: 'Start', new_flow_id: 1, actions: [] }] };
+  const c = { id: 3, name: 'C', steps: [{ step_id: 1, name: 'Start', new_flow_id: 1, actions: [] }] };
+  const bundle = createBundle([c, a, b]);
+  assert.deepStrictEqual(
+    orderForCreation([{ key: 'c' }, { key: 'a' }, { key: 'd' }], bundle.manifest.references).map(item => item.key),
+    ['a', 'd', 'c']
+  );
+
+  let nextId = 100;
+  const created = {};
+  const updates = [];
+  const client = {
+    getWorkflows: async () => [],
+    getActions: async () => [],
+    createWorkflows: async ([payload]) => {
+      const workflow = { ...structuredClone(payload), id: nextId++ };
+      created[workflow.id] = workflow;
+      return [workflow];
+    },
+    getWorkflow: async (id) => structuredClone(created[id]),
+    updateWorkflow: async (id, changes) => updates.push({ id, changes })
+  };
+
+  const { results } = await importBundle(client, bundle, { strategy: 'skip' });
+  assert.deepStrictEqual(results.map(r => [r.key, r.status]), [['c', 'created'], ['a', 'created'], ['b', 'created']]);
+  assert.strictEqual(created[101].steps[0].new_flow_id, null);
+  assert.strictEqual(created[102].steps[0].new_flow_id, 101);
+  assert.strictEqual(updates.length, 2);
+  assert.deepStrictEqual(updates.map(u => [u.id, u.changes.steps[0].new_flow_id]), [[100, 101], [101, 102]]);
+}]);
+
+tests.push(['Import matches actions by name and remaps or clears external links', async () => {
+  const linked = structuredClone(sampleWorkflow);
+  linked.steps[0].new_flow_id = 42;
+  linked.steps[1].start_new_chat_flow_id = 43;
+  linked.steps[1].actions[0].time_limit_mins = 60;
+  linked.steps[1].actions[0].time_limit_action_id = 6;
+  const bundle = createBundle([linked]);
+  const actions = [{ id: 15, outcome: 'Assign' }, { id: 16, outcome: 'Close' }];
+
+  const [item] = planImport(bundle, [{ id: 7, name: 'Target' }], 'skip', undefined, { actions, workflowMap: { 42: 7 } });
+  assert.deepStrictEqual(item.errors, []);
+  assert.deepStrictEqual(item.externalLinks.map(link => [link.field, link.sourceId, link.targetId, link.status]), [
+    ['new_flow_id', 42, 7, 'mapped'],
+    ['start_new_chat_flow_id', 43, null, 'cleared']
+  ]);
+  assert.ok(item.warnings.some(warning => warning.includes('start_new_chat_flow_id pointed at workflow 43')));
+  assert.strictEqual(item.definition.steps[0].new_flow_id, 7);
+  assert.strictEqual(item.definition.steps[1].start_new_chat_flow_id, null);
+
+  const close = item.definition.steps[1].actions[0];
+  assert.strictEqual(item.definition.steps[0].actions[0].action_id, 15);
+  assert.strictEqual(close.action_id, 16);
+  assert.strictEqual(close.time_limit_action_id, 16);
+  assert.deepStrictEqual(item.remappedActions.map(change => [change.field, change.sourceId, change.targetId]), [
+    ['action_id', 5, 15],
+    ['action_id', 6, 16],
+    ['time_limit_action_id', 6, 16]
+  ]);
+
+  const [unmapped] = planImport(bundle, [], 'skip', undefined, { actions, workflowMap: { 42: 99 } });
+  assert.strictEqual(unmapped.action, 'invalid');
+  assert.ok(unmapped.errors.some(error => error.includes('99, which does not exist')));
+
+  const definition = { steps: [{ step_id: 1, name: 'New', actions: [{ action_id: 5, action_name: 'Reopen' }] }] };
+  assert.match(remapActions(definition, actions).errors[0], /No action named "Reopen"/);
+
+  const created = [];
+  const client = {
+    getWorkflows: async () => [{ id: 7, name: 'Target' }],
+    getActions: async () => actions,
+    createWorkflows: async ([payload]) => {
+      created.push(payload);
+      return [{ ...payload, id: 100 }];
+    }
+  };
+  const { results } = await importBundle(client, bundle, { workflowMap: { 42: 7 } });
+  assert.strictEqual(results[0].status, 'created');
+  assert.strictEqual(results[0].remappedActions.length, 3);
+  assert.strictEqual(results[0].externalLinks.length, 2);
+  assert.strictEqual(created[0].steps[0].new_flow_id, 7);
+  assert.strictEqual(created[0].steps[0].actions[0].action_id, 15);
+}]);
+
+tests.push(['Diff reports semantic changes and ignores layout', () => {
+  const changed = structuredClone(sampleWorkflow);
+  changed.active = false;
+  changed.steps[0].old_diagram_x = 500;
+  changed.steps[1].name = 'In Progress';
+  changed.steps[1].actions[0].time_limit_mins = 60;
+  changed.steps[0].actions.push({ start_step: 1, end_step: 3, action_id: 7, action_name: 'Cancel' });
+  changed.steps.push({ step_id: 4, name: 'Reopened', actions: [] });
+  changed.stages = [{ sequence: 1, name: 'Done', outcome_step: 3 }];
+
+  const { identical, summary, patch } = diffWorkflows(sampleWorkflow, changed);
+  assert.strictEqual(identical, false);
+  assert.deepStrictEqual(patch.map(op => op.op).sort(), [
+    'addStage', 'addStep', 'addTransition', 'changeTransition', 'changeWorkflow', 'renameStep'
+  ]);
+  assert.ok(summary.includes('~ Step "Assigned" renamed to "In Progress"'));
+  assert.ok(summary.includes('~ Transition "Close" from "In Progress" time_limit_mins: null -> 60'));
+  assert.strictEqual(diffWorkflows(sampleWorkflow, { ...sampleWorkflow, guid: 'x', in_use: false }).identical, true);
+}]);
+
+tests.push(['Bundle entries compare cleanly with their source workflow', () => {
+  const linked = { ...sampleWorkflow, steps: [{ ...sampleWorkflow.steps[0], new_flow_id: 11 }, ...sampleWorkflow.steps.slice(1)] };
+  const bundle = createBundle([linked, { id: 11, name: 'Child', steps: [] }]);
+  const definition = getBundleWorkflow(bundle, 'sample-workflow');
+  assert.strictEqual(definition.steps[0].new_flow_id, 11);
+  assert.strictEqual(diffWorkflows(linked, definition).identical, true);
+  assert.throws(() => getBundleWorkflow(bundle), /specify a key/);
+}]);
+
+tests.push(['Validator accepts a well-formed workflow', () => {
+  const result = validateWorkflow(sampleWorkflow);
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.findings, []);
+}]);
+
+tests.push(['Validator reports broken graphs with severities', () => {
+  const broken = structuredClone(sampleWorkflow);
+  broken.steps[0].actions.push({ start_step: 1, end_step: 9, action_id: 7, action_name: 'Escalate' });
+  broken.steps[1].actions = [{ start_step: 2, end_step: 3, action_id: 6, action_name: 'Close', time_limit_mins: 60 }];
+  broken.steps.push({ step_id: 4, name: 'Orphan', actions: [] });
+  broken.stages = [{ name: 'Triage', sequence: 1, outcome_step: 8 }];
+
+  const result = validateWorkflow(broken);
+  const codes = result.findings.map(finding => `${finding.severity}:${finding.code}`).sort();
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(codes, [
+    'error:MISSING_STAGE_OUTCOME',
+    'error:MISSING_TRANSITION_TARGET',
+    'error:TIME_LIMIT_WITHOUT_ACTION',
+    'warning:DEAD_END_STEP',
+    'warning:UNREACHABLE_STEP'
+  ]);
+
+  broken.steps[2].isstart = true;
+  assert.ok(validateWorkflow(broken).findings.some(finding => finding.code === 'MULTIPLE_START_STEPS'));
+  assert.strictEqual(buildCreatePreview([broken]).valid, false);
+}]);
+
+tests.push(['Diagrams mark start/end steps, stages and time limits', () => {
+  const workflow = structuredClone(sampleWorkflow);
+  workflow.stages = [{ name: 'Triage', sequence: 1 }];
+  workflow.steps[0].stage_number = 1;
+  workflow.steps[1].actions[0] = { ...workflow.steps[1].actions[0], time_limit_mins: 60, time_limit_action_name: 'Close' };
+  workflow.steps[1].actions.push({ start_step: 2, action_id: 8, action_name: 'Add "Note"' });
+
+  const mermaid = renderMermaid(workflow);
+  assert.ok(mermaid.startsWith('flowchart TD\n'));
+  assert.ok(mermaid.includes('subgraph stage1["Triage"]'));
+  assert.ok(mermaid.includes('step1(["START: New"])'));
+  assert.ok(mermaid.includes('step3((("END: Closed")))'));
+  assert.ok(mermaid.includes('step2 -->|"Close (60 min, then Close)"| step3'));
+  assert.ok(mermaid.includes('step2 -.->|"Add #quot;Note#quot;"| step2'));
+
+  const dot = renderDot(workflow);
+  assert.ok(dot.startsWith('digraph "Sample Workflow" {'));
+  assert.ok(dot.includes('subgraph cluster_stage1 {'));
+  assert.ok(dot.includes('step3 [label="END: Closed", shape=doublecircle];'));
+  assert.ok(dot.includes('step2 -> step2 [label="Add \\"Note\\"", style=dashed];'));
+}]);
+
+tests.push(['Diagrams name the sibling transition a time-limit action ID fires', () => {
+  const workflow = structuredClone(sampleWorkflow);
+  workflow.steps[1].actions.push(
+    { start_step: 2, end_step: 2, action_id: 8, action_name: 'Chase', time_limit_mins: 30, time_limit_action_id: 6 },
+    { start_step: 2, end_step: 2, action_id: 9, action_name: 'Remind', time_limit_mins: 15, time_limit_action_id: 77 }
+  );
+
+  const mermaid = renderMermaid(workflow);
+  assert.ok(mermaid.includes('step2 -->|"Chase (30 min, then Close)"| step2'));
+  assert.ok(mermaid.includes('step2 -->|"Remind (15 min, then action 77)"| step2'));
+}]);
+
+tests.push(['DSL compiles steps, transitions, stages and time limits', () => {
+  const { workflow, errors, warnings } = compileWorkflowDsl(`
+name: Change Request
+stages:
+  - name: Review
+    outcome: Approved
+steps:
+  - name: Submitted
+    start: true
+    stage: Review
+    transitions:
+      - action: Approve
+        actionId: 11
+        to: Approved
+        approval: approved
+      - action: Chase
+        actionId: 12
+        timeLimit: 240
+        workHours: true
+        onTimeout: Approve
+  - name: Approved
+    end: true
+`);
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings, []);
+  assert.strictEqual(workflow.stages[0].outcome_step, 2);
+  assert.strictEqual(workflow.steps[0].stage_number, 1);
+  assert.deepStrictEqual(workflow.steps[0].actions[0], {
+    start_step: 1, end_step: 2, action_id: 11, action_name: 'Approve', approval_result: 1
+  });
+  assert.strictEqual(workflow.steps[0].actions[1].time_limit_action_id, 11);
+  assert.strictEqual(validateWorkflow(workflow).valid, true);
+
+  const broken = compileWorkflowDsl('name: Broken\nsteps:\n  - name: A\n    colour: red\n    transitions:\n      - action: Go\n        to: B\n');
+  assert.strictEqual(broken.workflow, null);
+  assert.strictEqual(broken.errors.length, 2);
+  assert.strictEqual(broken.warnings.length, 1);
+}]);
+
+tests.push(['DSL decompiles a workflow and compiles it back', () => {
+  const workflow = structuredClone(sampleWorkflow);
+  // The API always returns both flags
+  workflow.steps.forEach(step => Object.assign(step, { isstart: Boolean(step.isstart), isend: Boolean(step.isend) }));
+  workflow.steps[1].old_diagram_x = 250;
+  workflow.steps[1].actions[0].action_colour = '#ff0000';
+  const { source, warnings } = decompileWorkflowDsl(workflow);
+  assert.deepStrictEqual(warnings, []);
+  assert.ok(source.includes('to: Assigned'));
+  assert.ok(!source.includes('old_diagram_x'));
+
+  const compiled = compileWorkflowDsl(source);
+  assert.deepStrictEqual(compiled.errors, []);
+  assert.strictEqual(diffWorkflows(workflow, compiled.workflow).identical, true);
+}]);
+
+tests.push(['Built-in templates instantiate into valid workflows', async () => {
+  const catalogue = await templates.list();
+  assert.deepStrictEqual(catalogue.map(template => template.id).sort(), [
+    'change-management', 'escalation', 'offboarding', 'onboarding', 'procurement-approval'
+  ]);
+  for (const template of catalogue) {
+    const { workflow, errors } = await templates.instantiate(template.id);
+    assert.deepStrictEqual(errors, [], template.id);
+    assert.strictEqual(validateWorkflow(workflow).valid, true, template.id);
+  }
+
+  const { workflow, errors } = await templates.instantiate(
+    'onboarding',
+    { itTeam: 'Desktop Support', slaMinutes: '600' },
+    { Escalate: 21, 'Provisioning Complete': 22 }
+  );
+  assert.deepStrictEqual(errors, []);
+  const provisioning = workflow.steps.find(step => step.name === 'Provisioning by Desktop Support');
+  assert.strictEqual(provisioning.actions[0].time_limit_mins, 600);
+  assert.strictEqual(provisioning.actions[0].time_limit_action_id, 21);
+  assert.strictEqual(provisioning.actions[0].action_id, 22);
+
+  const invalid = await templates.instantiate('onboarding', { slaMinutes: 'soon', colour: 'red' });
+  assert.strictEqual(invalid.workflow, null);
+  assert.strictEqual(invalid.errors.length, 2);
+}]);
+
+tests.push(['Deactivation is blocked by tickets and active linking workflows', () => {
+  const tenantSteps = [
+    { flow_id: 10, step_id: 3, name: 'Closed', new_flow_id: 10 },
+    { flow_id: 20, step_id: 4, name: 'Hand over', new_flow_id: 10 },
+    { flow_id: 30, step_id: 2, name: 'Old hand over', new_flow_id: 10 },
+    { flow_id: 40, step_id: 1, name: 'Chat', start_new_chat_flow_id: 11 }
+  ];
+  const links = findLinkingSteps(tenantSteps, 10);
+  assert.deepStrictEqual(links.map(link => link.flow_id), [20, 30]);
+
+  const headers = [{ id: 20, name: 'Triage', active: true }, { id: 30, name: 'Legacy', active: false }];
+  const impact = assessActivationChange(sampleWorkflow, false, links, headers);
+  assert.strictEqual(impact.blockers.length, 2);
+  assert.ok(impact.blockers[1].includes('"Triage"'));
+  assert.strictEqual(impact.warnings.length, 1);
+
+  const idle = assessActivationChange({ ...sampleWorkflow, in_use: false }, false, [], headers);
+  assert.deepStrictEqual(idle.blockers, []);
+  assert.deepStrictEqual(assessActivationChange(sampleWorkflow, true, links, headers).blockers, []);
+}]);
+
+tests.push(['Activation sets notinuse together with active', () => {
+  assert.deepStrictEqual(getActivationFields(false), { active: false, notinuse: true });
+  assert.deepStrictEqual(getActivationFields(true), { active: true, notinuse: false });
+
+  const hidden = { ...sampleWorkflow, active: true, notinuse: true };
+  const impact = assessActivationChange(hidden, true, [], []);
+  assert.deepStrictEqual(impact.changes, {
+    active: { from: true, to: true },
+    notinuse: { from: true, to: false }
+  });
+  assert.deepStrictEqual(impact.warnings, []);
+
+  const live = assessActivationChange({ ...hidden, notinuse: false }, true, [], []);
+  assert.ok(live.warnings.includes('Workflow is already active'));
+}]);
+
+tests.push(['Step edits work on a copy and keep references consistent', () => {
+  const { workflow: added, step } = addStep(sampleWorkflow, {
+    name: 'Waiting',
+    actions: [{ end_step: 2, action_id: 9, action_name: 'Customer Replied' }]
+  });
+  assert.strictEqual(sampleWorkflow.steps.length, 3);
+  assert.strictEqual(step.step_id, 4);
+  assert.strictEqual(step.actions[0].start_step, 4);
+  assert.throws(() => addStep(sampleWorkflow, { name: 'New' }), /already has a step named/);
+  // Nothing leads to the new step yet, which is only a warning
+  assert.deepStrictEqual(findNewErrors(sampleWorkflow, added), []);
+
+  const { workflow: renamed } = updateStep(added, 'assigned', { name: 'In Progress' });
+  assert.strictEqual(describeSteps(renamed)[0].transitions[0].end_step_name, 'In Progress');
+  assert.throws(() => updateStep(added, 2, { step_id: 7 }), /cannot be changed/);
+
+  const withStage = { ...sampleWorkflow, stages: [{ name: 'Work', sequence: 1, outcome_step: 2 }] };
+  const redirected = removeStep(withStage, 'Assigned', 'Closed');
+  assert.deepStrictEqual(redirected.workflow.steps[0].actions[0].end_step, 3);
+  assert.strictEqual(redirected.workflow.stages[0].outcome_step, 3);
+  assert.strictEqual(redirected.rewired.length, 2);
+
+  const dropped = removeStep(withStage, 2);
+  assert.deepStrictEqual(dropped.workflow.steps[0].actions, []);
+  assert.strictEqual(dropped.workflow.stages[0].outcome_step, null);
+  assert.deepStrictEqual(findNewErrors(withStage, dropped.workflow), []);
+
+  const broken = updateStep(sampleWorkflow, 1, { isstart: false }).workflow;
+  assert.deepStrictEqual(findNewErrors(sampleWorkflow, broken).map(finding => finding.code), ['NO_START_STEP']);
+}]);
+
+tests.push(['Transitions are edited by step and action name', () => {
+  const actions = [
+    { id: 5, outcome: 'Assign' },
+    { id: 6, outcome: 'Close' },
+    { id: 7, outcome: 'Escalate', buttonname: 'Escalate Now' },
+    { id: 8, outcome: 'Note' },
+    { id: 9, outcome: 'Note' }
+  ];
+  assert.deepStrictEqual(resolveAction(actions, 'escalate now'), { action_id: 7, action_name: 'Escalate' });
+  assert.throws(() => resolveAction(actions, 'Note'), /matches 2 actions/);
+  assert.throws(() => resolveAction(actions, 99), /No action with ID 99/);
+
+  const { workflow: escalating } = addTransition(sampleWorkflow, {
+    from: 'Assigned',
+    to: 'New',
+    action: resolveAction(actions, 'Escalate'),
+    fields: { restrictions: [{ field_id: 12, type: 0, value_id: 3, value_name: 'Hardware' }] }
+  });
+  assert.strictEqual(describeTransitions(escalating).length, 3);
+  assert.throws(() => addTransition(sampleWorkflow, { from: 2, action: resolveAction(actions, 6) }), /already has/);
+  assert.throws(() => addTransition(sampleWorkflow, { from: 2, action: resolveAction(actions, 7), fields: { id: 1 } }), /cannot be set/);
+
+  const { workflow: timed } = updateTransition(escalating, 'Assigned', 'Close', {
+    timeLimitAction: resolveAction(actions, 'Escalate'),
+    fields: { time_limit_mins: 120, use_work_hours: true }
+  });
+  const close = describeTransitions(timed).find(transition => transition.action_name === 'Close');
+  assert.strictEqual(close.time_limit_action_id, 7);
+  assert.strictEqual(close.time_limit_mins, 120);
+  assert.strictEqual(validateWorkflow(timed).valid, true);
+  assert.throws(() => updateTransition(sampleWorkflow, 2, 6, { timeLimitAction: { action_id: 7, action_name: 'Escalate' } }), /add it first/);
+
+  assert.throws(() => removeTransition(timed, 2, 7), /"Escalate" is the time-limit action of "Close" on step "Assigned" - change or clear those time limits first/);
+  const { workflow: cleared } = updateTransition(timed, 2, 6, { timeLimitAction: null });
+  const { workflow: removed } = removeTransition(cleared, 2, 7);
+  assert.deepStrictEqual(describeTransitions(removed).map(transition => transition.action_name), ['Assign', 'Close']);
+
+  assert.throws(() => updateTransition(timed, 2, 'Close', { action: resolveAction(actions, 'Escalate') }), /already has a "Escalate" transition/);
+  const { workflow: renamed } = updateTransition(timed, 2, 'Escalate', { action: resolveAction(actions, 8) });
+  assert.strictEqual(describeTransitions(renamed).find(transition => transition.action_name === 'Close').time_limit_action_id, 8);
+}]);
+
+tests.push(['Stages are renumbered with their steps', () => {
+  let { workflow } = addStage(sampleWorkflow, { name: 'Triage', outcome: 'Assigned' });
+  ({ workflow } = addStage(workflow, { name: 'Resolution', outcome: 3 }));
+  ({ workflow } = assignStepsToStage(workflow, 'Triage', ['New', 2]));
+  ({ workflow } = assignStepsToStage(workflow, 2, ['Closed']));
+  ({ workflow } = addStage(workflow, { name: 'Intake', position: 1 }));
+  assert.deepStrictEqual(workflow.steps.map(step => step.stage_number), [2, 2, 3]);
+  assert.throws(() => addStage(workflow, { name: 'triage' }), /already has a stage/);
+  assert.throws(() => addStage(workflow, { name: 'Other', outcome: 'Missing' }), /no step "Missing"/);
+
+  ({ workflow } = reorderStages(workflow, ['Resolution', 'Triage', 'Intake']));
+  let described = describeStages(workflow);
+  assert.deepStrictEqual(described.stages.map(stage => `${stage.sequence}:${stage.name}`), ['1:Resolution', '2:Triage', '3:Intake']);
+  assert.deepStrictEqual(described.stages[1].steps.map(step => step.name), ['New', 'Assigned']);
+  assert.strictEqual(described.stages[1].outcome_step_name, 'Assigned');
+  assert.throws(() => reorderStages(workflow, ['Triage', 'Intake']), /every stage exactly once/);
+
+  ({ workflow } = updateStage(workflow, 'Intake', { name: 'Logged', outcome: null }));
+  const removed = removeStage(workflow, 'Triage', 'Logged');
+  assert.deepStrictEqual(removed.steps, ['New', 'Assigned']);
+  described = describeStages(removed.workflow);
+  assert.deepStrictEqual(described.stages.map(stage => `${stage.sequence}:${stage.name}`), ['1:Resolution', '2:Logged']);
+  assert.deepStrictEqual(described.stages[1].steps.map(step => step.name), ['New', 'Assigned']);
+  assert.strictEqual(validateWorkflow(removed.workflow).valid, true);
+
+  const orphaned = structuredClone(removed.workflow);
+  orphaned.steps[0].stage_number = 7;
+  assert.deepStrictEqual(validateWorkflow(orphaned).findings.map(finding => finding.code), ['UNKNOWN_STAGE']);
+}]);
+
+tests.push(['Ticket types resolve by name and targets by step name', () => {
+  const ticketTypes = [
+    { id: 1, name: 'Incident', workflow_id: 10 },
+    { id: 2, name: 'Service Request', workflow_id: 12 },
+    { id: 3, name: 'Service Request - Hardware', workflow_id: 12 }
+  ];
+  assert.deepStrictEqual(matchTicketTypes(ticketTypes, 'service request').map(type => type.id), [2]);
+  assert.deepStrictEqual(matchTicketTypes(ticketTypes, 'hardware').map(type => type.id), [3]);
+  assert.throws(() => resolveTicketType(ticketTypes, 'Service'), /matches "Service Request" \(2\)/);
+  assert.deepStrictEqual(findTicketTypesForWorkflow(ticketTypes, 12).map(type => type.name), ['Service Request', 'Service Request - Hardware']);
+
+  const { workflow } = setTargets(sampleWorkflow, [
+    { name: 'Response', target: 60, target_units: 'minutes', start_steps: ['New'], end_steps: [2, { step_id: 3, is_end: true }] }
+  ]);
+  assert.deepStrictEqual(workflow.targets[0].end_steps, [{ step_id: 2 }, { step_id: 3, is_end: true }]);
+  assert.deepStrictEqual(describeTargets(workflow)[0].start_steps, [{ step_id: 1, name: 'New' }]);
+  assert.throws(() => setTargets(sampleWorkflow, [{ name: 'Bad', start_steps: ['Missing'] }]), /no step "Missing"/);
+
+  const broken = structuredClone(workflow);
+  broken.targets[0].end_steps[0].step_id = 9;
+  assert.deepStrictEqual(validateWorkflow(broken).findings.map(finding => finding.code), ['MISSING_TARGET_STEP']);
+}]);
+
+tests.push(['Usage report counts open tickets per step and flags unused workflows', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+  const history = [
+    { ticket_id: 40, moved_from: 1, moved_to: 2, moved_date: '2026-05-20T09:00:00Z' },
+    { ticket_id: 41, moved_from: 2, moved_to: 3, moved_date: '2026-05-28T09:00:00Z' }
+  ];
+  const busy = { ...structuredClone(sampleWorkflow), workflow_history: history };
+  const idle = { ...structuredClone(sampleWorkflow), id: 11, name: 'Legacy, "old"', workflow_history: [
+    { ticket_id: 7, moved_from: 1, moved_to: 2, moved_date: '2025-01-01T00:00:00Z' }
+  ] };
+  const tickets = [
+    { id: 50, workflow_id: 10, workflow_step: 2, lastactiondate: '2026-05-30T12:00:00Z' },
+    { id: 51, workflow_id: 10, workflow_step: 2 },
+    { id: 52, workflow_id: 10, workflow_step: 1 },
+    { id: 53, workflow_id: 99, workflow_step: 1 }
+  ];
+
+  assert.deepStrictEqual(countTicketsByStep(busy, tickets), [
+    { step_id: 2, name: 'Assigned', count: 2 },
+    { step_id: 1, name: 'New', count: 1 }
+  ]);
+
+  const report = buildUsageReport([busy, idle], tickets, {
+    unusedDays: 30,
+    historyLimit: 1,
+    lastChanged: new Map([[10, '2026-04-01T00:00:00.000Z']]),
+    now
+  });
+  const [busyRow, idleRow] = report.workflows;
+  assert.strictEqual(busyRow.openTickets, 3);
+  assert.strictEqual(busyRow.lastActivity, '2026-05-30T12:00:00.000Z');
+  assert.strictEqual(busyRow.lastChangedHere, '2026-04-01T00:00:00.000Z');
+  assert.deepStrictEqual(busyRow.recentHistory, [
+    { ticket_id: 41, moved_date: '2026-05-28T09:00:00Z', from: 'Assigned', to: 'Closed', target_met: null }
+  ]);
+  assert.deepStrictEqual(busyRow.flags, []);
+  assert.deepStrictEqual(idleRow.flags, ['unused for 30+ days']);
+
+  assert.match(report.table, /^\| ID \| Workflow \|/);
+  assert.match(report.table, /\| 10 \| Sample Workflow \| true \| true \| 3 \| Assigned: 2; New: 1 \|/);
+  const csvLines = report.csv.trim().split('\r\n');
+  assert.strictEqual(csvLines.length, 3);
+  assert.ok(csvLines[2].startsWith('11,"Legacy, ""old""",true,true,0,,2025-01-01T00:00:00.000Z,,unused for 30+ days'));
+}]);
+
+tests.push(['Usage report tool reads the snapshot store once', async () => {
+  const usageTool = tools.find(tool => tool.name === 'workflowUsageReport');
+  const api = {
+    getWorkflows: async () => [{ id: 10 }, { id: 11 }],
+    getWorkflow: async (id) => ({ ...structuredClone(sampleWorkflow), id }),
+    getOpenTickets: async () => ({ tickets: [], truncated: false })
+  };
+  const original = Object.fromEntries(Object.keys(api).map(name => [name, apiClient[name]]));
+  const originalList = snapshots.list;
+  let listCalls = 0;
+  Object.assign(apiClient, api);
+  snapshots.list = async () => {
+    listCalls++;
+    return [
+      { workflowId: 11, takenAt: '2026-05-02T00:00:00.000Z' },
+      { workflowId: 11, takenAt: '2026-05-01T00:00:00.000Z' }
+    ];
+  };
+  try {
+    const report = await usageTool.handler({});
+    assert.strictEqual(listCalls, 1);
+    assert.deepStrictEqual(report.workflows.map(row => row.lastChangedHere), [null, '2026-05-02T00:00:00.000Z']);
+  } finally {
+    Object.assign(apiClient, original);
+    snapshots.list = originalList;
+  }
+}]);
+
+tests.push(['Stuck tickets are those past the shortest time limit of their step', () => {
+  const workflow = structuredClone(sampleWorkflow);
+  workflow.steps[0].actions[0].time_limit_mins = 120;
+  workflow.steps[0].actions.push({ action_id: 7, action_name: 'Escalate', start_step: 1, end_step: 2, time_limit_mins: 60, time_limit_action_name: 'Escalate' });
+  assert.deepStrictEqual(getStepTimeLimits(workflow).get(1), [
+    { limitMins: 60, action: 'Escalate', useWorkHours: false },
+    { limitMins: 120, action: null, useWorkHours: false }
+  ]);
+
+  const now = new Date('2026-06-01T12:00:00Z');
+  const tickets = [
+    { id: 1, workflow_id: 10, workflow_step: 1, workflow_stepstarted: '2026-06-01T11:30:00Z', agent_name: 'Ann' },
+    { id: 2, workflow_id: 10, workflow_step: 1, workflow_stepstarted: '2026-05-30T09:55:00Z', agent_name: 'Bob' },
+    { id: 3, workflow_id: 10, workflow_step: 1, workflow_stepstarted: '2026-06-01T10:00:00Z', agent_name: 'Cy' },
+    { id: 4, workflow_id: 10, workflow_step: 2, workflow_stepstarted: '2026-05-01T00:00:00Z' },
+    { id: 5, workflow_id: 10, workflow_step: 1 }
+  ];
+
+  const result = findOverdueTickets([workflow], tickets, { now });
+  assert.strictEqual(result.total, 2);
+  assert.strictEqual(result.unknownStart, 1);
+  const [step] = result.workflows[0].steps;
+  assert.strictEqual(step.name, 'New');
+  assert.deepStrictEqual(step.tickets.map(ticket => [ticket.id, ticket.agent, ticket.age]), [[2, 'Bob', '2d 2h 5m'], [3, 'Cy', '2h']]);
+
+  const withDefault = findOverdueTickets([workflow], tickets, { defaultLimitMins: 24 * 60, now });
+  assert.deepStrictEqual(withDefault.workflows[0].steps.map(s => [s.name, s.tickets.length]), [['New', 2], ['Assigned', 1]]);
+  assert.strictEqual(formatDuration(0), '0m');
+}]);
+
+tests.push(['Stuck tickets name the sibling time-limit action and skip working-hour limits', () => {
+  const workflow = structuredClone(sampleWorkflow);
+  workflow.steps[1].actions.push({ action_id: 8, action_name: 'Chase', start_step: 2, end_step: 2, time_limit_mins: 60, time_limit_action_id: 6, use_work_hours: true });
+  assert.deepStrictEqual(getStepTimeLimits(workflow).get(2), [{ limitMins: 60, action: 'Close', useWorkHours: true }]);
+
+  const now = new Date('2026-06-01T12:00:00Z');
+  const tickets = [{ id: 1, workflow_id: 10, workflow_step: 2, workflow_stepstarted: '2026-05-29T17:00:00Z' }];
+  const skipped = findOverdueTickets([workflow], tickets, { now });
+  assert.strictEqual(skipped.total, 0);
+  assert.strictEqual(skipped.workHoursSkipped, 1);
+
+  const included = findOverdueTickets([workflow], tickets, { includeWorkHours: true, now });
+  assert.strictEqual(included.total, 1);
+  assert.strictEqual(included.workHoursSkipped, 0);
+  assert.match(included.workflows[0].steps[0].note, /working hours/);
+}]);
+
+tests.push(['Stuck tickets are checked against calendar limits when working-hour limits are skipped', () => {
+  const workflow = structuredClone(sampleWorkflow);
+  workflow.steps[1].actions.push(
+    { action_id: 8, action_name: 'Chase', start_step: 2, end_step: 2, time_limit_mins: 60, time_limit_action_id: 6, use_work_hours: true },
+    { action_id: 9, action_name: 'Expire', start_step: 2, end_step: 3, time_limit_mins: 24 * 60, time_limit_action_id: 9 }
+  );
+  const now = new Date('2026-06-01T12:00:00Z');
+  const tickets = [
+    { id: 1, workflow_id: 10, workflow_step: 2, workflow_stepstarted: '2026-05-29T12:00:00Z' },
+    { id: 2, workflow_id: 10, workflow_step: 2, workflow_stepstarted: '2026-06-01T09:00:00Z' }
+  ];
+
+  const calendar = findOverdueTickets([workflow], tickets, { now });
+  assert.strictEqual(calendar.workHoursSkipped, 2);
+  const [step] = calendar.workflows[0].steps;
+  assert.deepStrictEqual([step.limitMins, step.timeLimitAction, step.useWorkHours, step.note], [24 * 60, 'Expire', false, null]);
+  assert.deepStrictEqual(step.tickets.map(ticket => ticket.id), [1]);
+
+  const all = findOverdueTickets([workflow], tickets, { includeWorkHours: true, now });
+  assert.deepStrictEqual(all.workflows[0].steps[0].tickets.map(ticket => ticket.id), [1, 2]);
+  assert.strictEqual(all.workflows[0].steps[0].timeLimitAction, 'Close');
+}]);
+
+tests.push(['Ticket moves are checked against the transitions of the current step', () => {
+  const workflow = {
+    ...structuredClone(sampleWorkflow),
+    always_allow_actions: [{ id: 9, outcome: 'Add Note', buttonname: 'Note' }]
+  };
+  const ticket = { id: 500, workflow_id: 10, workflow_step: 1 };
+
+  const byAction = planTicketMove(workflow, ticket, { action: 'assign' });
+  assert.deepStrictEqual(byAction.action, { action_id: 5, action_name: 'Assign' });
+  assert.deepStrictEqual([byAction.from.name, byAction.to.name], ['New', 'Assigned']);
+  assert.strictEqual(planTicketMove(workflow, ticket, { to: 'Assigned' }).action.action_id, 5);
+
+  const note = planTicketMove(workflow, ticket, { action: 'Note' });
+  assert.strictEqual(note.alwaysAllowed, true);
+  assert.deepStrictEqual(note.to, { step_id: 1, name: 'New' });
+
+  assert.throws(() => planTicketMove(workflow, ticket, { action: 'Close' }), /does not allow action "Close" from step "New" \(available: Assign -> Assigned\)/);
+  assert.throws(() => planTicketMove(workflow, ticket, { to: 'Closed' }), /does not allow a move to "Closed"/);
+  assert.throws(() => planTicketMove(workflow, ticket, { action: 'Note', to: 'Closed' }), /does not allow/);
+  assert.throws(() => planTicketMove(workflow, { ...ticket, workflow_id: 11 }, { action: 5 }), /not on workflow 10/);
+}]);
+
+tests.push(['Workflow search combines filters and pages compact summaries', () => {
+  const workflows = [
+    { id: 10, name: 'Incident Workflow', active: true, in_use: true },
+    { id: 11, name: 'Change Request', active: true, in_use: false },
+    { id: 12, name: 'Legacy Incident', active: false, in_use: false }
+  ];
+  const steps = [
+    ...sampleWorkflow.steps.map(step => ({ ...step, flow_id: 10 })),
+    { flow_id: 11, step_id: 1, name: 'CAB Review', actions: [{ action_id: 8, action_name: 'Approve' }] },
+    { flow_id: 12, step_id: 1, name: 'New', actions: [] }
+  ];
+  const ticketTypes = [{ id: 1, name: 'Incident', workflow_id: 10 }, { id: 2, name: 'Change', workflow_id: 11 }];
+  const context = { steps, ticketTypes, lastChanged: new Map([[11, '2026-05-01T00:00:00.000Z']]) };
+
+  const incidents = searchWorkflows(workflows, { name: 'incident' }, context);
+  assert.deepStrictEqual(incidents.workflows.map(workflow => workflow.id), [10, 12]);
+  assert.deepStrictEqual(incidents.workflows[0], {
+    id: 10, name: 'Incident Workflow', active: true, in_use: true, steps: 3, ticketTypes: ['Incident'], lastChangedHere: null
+  });
+
+  assert.deepStrictEqual(searchWorkflows(workflows, { name: '^(change|legacy)', regex: true, active: true }, context).workflows.map(w => w.id), [11]);
+  assert.deepStrictEqual(searchWorkflows(workflows, { ticketType: 'Change' }, context).workflows.map(w => w.id), [11]);
+  assert.deepStrictEqual(searchWorkflows(workflows, { step: 'new', inUse: false }, context).workflows.map(w => w.id), [12]);
+  assert.deepStrictEqual(searchWorkflows(workflows, { action: 'appr' }, context).workflows[0].matchedActions, ['Approve']);
+  assert.deepStrictEqual(searchWorkflows(workflows, { changedHereSince: '2026-04-01' }, context).workflows.map(w => w.id), [11]);
+
+  const page = searchWorkflows(workflows, { limit: 2 }, context);
+  assert.deepStrictEqual([page.total, page.nextOffset, page.workflows.length], [3, 2, 2]);
+  assert.strictEqual(searchWorkflows(workflows, { offset: 2, limit: 2 }, context).nextOffset, null);
+  assert.throws(() => searchWorkflows(workflows, { name: '(', regex: true }, context), /Invalid name pattern/);
+  assert.throws(() => searchWorkflows(workflows, { ticketType: 'Problem' }, context), /No ticket type matches/);
+}]);
+
+tests.push(['Dependency graph links workflows, finds cycles and assesses deletion', () => {
+  const headers = [
+    { id: 10, name: 'Sample Workflow', active: true },
+    { id: 20, name: 'Escalation', active: true },
+    { id: 30, name: 'Major Incident', active: true },
+    { id: 40, name: 'Archive', active: false }
+  ];
+  const steps = [
+    ...sampleWorkflow.steps.map(step => ({ ...step, flow_id: 10 })),
+    { flow_id: 10, step_id: 4, name: 'Hand over', new_flow_id: 20, actions: [] },
+    { flow_id: 20, step_id: 1, name: 'Escalated', new_flow_id: 30, actions: [
+      { action_id: 5, action_name: 'Assign', automation_runbook_id: 77, automation_runbook_name: 'Page on-call' }
+    ] },
+    { flow_id: 30, step_id: 1, name: 'Back to escalation', start_new_chat_flow_id: 20, actions: [] },
+    { flow_id: 40, step_id: 1, name: 'Orphan', new_flow_id: 99, actions: [] }
+  ];
+  const graph = buildDependencyGraph(attachSteps(headers, steps));
+
+  assert.deepStrictEqual(graph.edges.workflows.map(edge => `${edge.from}>${edge.to}`), ['10>20', '20>30', '30>20', '40>99']);
+  assert.strictEqual(graph.edges.workflows[3].missing, true);
+  assert.deepStrictEqual(graph.edges.runbooks.map(edge => [edge.from, edge.runbook_id, edge.via[0].action]), [[20, 77, 'Assign']]);
+  assert.deepStrictEqual(graph.edges.actions.filter(edge => edge.from === 10).map(edge => edge.action_id), [5, 6]);
+  assert.deepStrictEqual(findWorkflowCycles(graph).map(cycle => cycle.map(member => member.id)), [[20, 30]]);
+
+  const deletion = assessWorkflowDeletion(graph, 30, [{ id: 8, name: 'Major', workflow_id: 30 }]);
+  assert.deepStrictEqual(deletion.dependents.map(dependent => dependent.id), [20]);
+  assert.deepStrictEqual(deletion.indirect, [{ id: 10, name: 'Sample Workflow', through: 20 }]);
+  assert.strictEqual(deletion.breaks.length, 2);
+  assert.match(deletion.breaks[0], /"Escalation" \(20\) hands tickets over to it from step\(s\) "Escalated"/);
+
+  const preview = buildDeletePreview(sampleWorkflow, assessWorkflowDeletion(graph, 10));
+  assert.deepStrictEqual(preview.dependencies.dependents, []);
+  assert.strictEqual(preview.warnings.length, 2);
+}]);
+
+tests.push(['Metrics measure workflow complexity and flag outliers', () => {
+  const workflow = structuredClone(sampleWorkflow);
+  workflow.stages = [{ sequence: 1, name: 'Open' }, { sequence: 2, name: 'Unused' }];
+  workflow.steps[0].stage_number = 1;
+  workflow.steps[1].actions.push({ action_id: 7, action_name: 'Reopen', end_step: 1, time_limit_mins: 30 });
+  workflow.steps[1].actions.push({ action_id: 8, action_name: 'Approve', approval_result: 1 });
+
+  assert.deepStrictEqual(computeWorkflowMetrics(workflow), {
+    id: 10,
+    name: 'Sample Workflow',
+    steps: 3,
+    transitions: 4,
+    maxPathLength: 2,
+    cyclomaticComplexity: 3,
+    approvalSteps: 1,
+    timeLimitedTransitions: 1,
+    unusedStages: ['Unused']
+  });
+
+  const chain = length => ({
+    id: 100 + length,
+    name: `Chain ${length}`,
+    steps: Array.from({ length }, (_, index) => ({
+      step_id: index + 1,
+      isstart: index === 0,
+      actions: index + 1 < length ? [{ action_id: 1, end_step: index + 2 }] : []
+    }))
+  });
+  const report = buildMetricsReport([chain(3), chain(3), chain(4), chain(3), chain(20)]);
+  assert.deepStrictEqual(report.workflows.map(row => row.maxPathLength), [2, 2, 3, 2, 19]);
+  assert.deepStrictEqual([...new Set(report.outliers.map(outlier => outlier.id))], [120]);
+  assert.deepStrictEqual(report.outliers.map(outlier => outlier.metric), ['steps', 'transitions', 'maxPathLength']);
+  assert.match(report.table, /\| 120 \| Chain 20 \| 20 \| 19 \| 19 \| 1 \| 0 \| 0 \|/);
+  assert.strictEqual(buildMetricsReport([workflow]).outliers.length, 0);
+}]);
+
+tests.push(['Simulation follows actions, time limits, restrictions and conditions', () => {
+  const workflow = structuredClone(sampleWorkflow);
+  workflow.steps[1].actions.push({ action_id: 7, action_name: 'Escalate', end_step: 1 });
+  workflow.steps[1].actions[0].time_limit_mins = 60;
+  workflow.steps[1].actions[0].time_limit_action_id = 7;
+  workflow.steps[1].actions[0].time_limit_action_name = 'Escalate';
+  workflow.steps[1].actions[0].restrictions = [{ field_id: 12, value_id: 3, value_name: 'Hardware' }];
+  workflow.steps[2].step_conditions = [{ fieldname: 'resolution', value_string: 'fixed', partialmatch: true }];
+
+  const done = simulateWorkflow(workflow, {
+    fields: { 12: 3 },
+    events: [
+      { action: 'Assign', after: 10 },
+      { action: 'Close', after: 30, fields: { resolution: 'Fixed on site' } }
+    ]
+  });
+  assert.strictEqual(done.completed, true);
+  assert.deepStrictEqual(done.path.map(entry => [entry.name, entry.at]), [['New', 0], ['Assigned', 10], ['Closed', 40]]);
+  assert.strictEqual(done.elapsedMins, 40);
+
+  const escalated = simulateWorkflow(workflow, { events: [{ action: 'Assign' }, { wait: 90 }] });
+  assert.deepStrictEqual(escalated.escalations.map(entry => [entry.step.name, entry.at, entry.action]), [['Assigned', 60, 'Escalate']]);
+  assert.strictEqual(escalated.finalStep.name, 'New');
+  assert.strictEqual(escalated.elapsedMins, 90);
+  assert.strictEqual(escalated.completed, false);
+
+  const restricted = simulateWorkflow(workflow, { fields: { 12: 'Software' }, events: [{ action: 5 }, { action: 'Close' }] });
+  assert.deepStrictEqual([restricted.stuck.event, restricted.stuck.step.name], [1, 'Assigned']);
+  assert.match(restricted.stuck.reason, /field 12 is "Software", needs Hardware/);
+
+  const unmet = simulateWorkflow(workflow, { fields: { 12: 'hardware' }, startStep: 'Assigned', events: [{ action: 'Close' }] });
+  assert.match(unmet.stuck.reason, /conditions of step "Closed" not met: resolution is not set/);
+  assert.match(simulateWorkflow(workflow, { events: [{ action: 'Close' }] }).stuck.reason, /not a transition of step "New" \(available: Assign\)/);
+}]);
+
+tests.push(['Procedures document steps, approvals and time limits in Markdown and HTML', () => {
+  const workflow = structuredClone(sampleWorkflow);
+  workflow.stages = [{ sequence: 1, name: 'Triage', outcome_step: 2 }];
+  workflow.steps[0].stage_number = 1;
+  workflow.steps[0].message = 'Check the caller\'s details.';
+  workflow.steps[1].actions[0].time_limit_mins = 240;
+  workflow.steps[1].actions[0].use_work_hours = true;
+  workflow.steps[1].actions[0].time_limit_action_name = 'Escalate';
+  workflow.steps[1].actions.push({ action_id: 8, action_name: 'Approve <fast>', end_step: 3, approval_result: 1 });
+
+  const procedure = buildProcedure(workflow, { ticketTypes: [{ name: 'Incident' }] });
+  assert.deepStrictEqual(procedure.steps.map(step => step.name), ['New', 'Assigned', 'Closed']);
+  assert.deepStrictEqual(procedure.stages, [{ name: 'Triage', steps: ['New'], outcome: 'Assigned' }]);
+  assert.deepStrictEqual(procedure.timeLimits.map(limit => [limit.step, limit.timeLimit, limit.escalation]), [['Assigned', '4h (working hours)', 'Escalate']]);
+  assert.deepStrictEqual(procedure.approvals.map(approval => [approval.action, approval.approval]), [['Approve <fast>', 'approved']]);
+
+  const markdown = renderProcedureMarkdown(procedure);
+  assert.match(markdown, /^# Sample Workflow - Standard Operating Procedure\n/);
+  assert.match(markdown, /used by Incident tickets/);
+  assert.match(markdown, /```mermaid\nflowchart TD/);
+  assert.match(markdown, /> Check the caller's details\./);
+  assert.match(markdown, /\| Close \| Closed \|  \| 4h \(working hours\) \| Escalate \|/);
+  assert.match(markdown, /"Close" must happen within 4h \(working hours\); otherwise "Escalate" is applied automatically/);
+
+  const html = renderProcedureHtml(procedure);
+  assert.match(html, /<pre class="mermaid">flowchart TD/);
+  assert.match(html, /<td>Approve &lt;fast&gt;<\/td><td>Closed<\/td><td>approved<\/td>/);
+  assert.ok(!html.includes('<fast>'));
+}]);
+
+tests.push(['Procedures resolve time-limit action IDs to the sibling transition', () => {
+  const workflow = structuredClone(sampleWorkflow);
+  workflow.steps[1].actions.push(
+    { action_id: 8, action_name: 'Chase', end_step: 2, time_limit_mins: 60, time_limit_action_id: 6 },
+    { action_id: 9, action_name: 'Remind', end_step: 2, time_limit_mins: 30, time_limit_action_id: 77 }
+  );
+
+  const procedure = buildProcedure(workflow);
+  assert.deepStrictEqual(procedure.timeLimits.map(limit => [limit.action, limit.escalation]), [['Chase', 'Close'], ['Remind', 'Action 77']]);
+}]);
+
+tests.push(['Documenting an inline workflow does not call the API', async () => {
+  const documentTool = tools.find(tool => tool.name === 'documentWorkflow');
+  const unavailable = async () => {
+    throw new Error('API must not be called');
+  };
+  const api = { getWorkflow: unavailable, getWorkflows: unavailable, getTicketTypes: unavailable };
+  const original = Object.fromEntries(Object.keys(api).map(name => [name, apiClient[name]]));
+  Object.assign(apiClient, api);
+  try {
+    const markdown = await documentTool.handler({ workflow: structuredClone(sampleWorkflow) });
+    assert.strictEqual(typeof markdown, 'string');
+    assert.match(markdown, /^# Sample Workflow - Standard Operating Procedure/);
+  } finally {
+    Object.assign(apiClient, original);
+  }
+}]);
+
+async function runWorkflowTests() {
+  console.log('=== HaloPSA Workflow Library Tests ===');
+
+  let failures = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} of ${tests.length} tests failed\n`);
+    return 1;
+  }
+
+  console.log('\n✅ Workflow library tests completed successfully!\n');
+  return 0;
+}
+
+// Run the tests if this file is executed directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  runWorkflowTests().then(
+    code => process.exit(code)
+  );
+}
+
+export default runWorkflowTests;